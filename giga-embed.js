@@ -0,0 +1,593 @@
+/*
+ * Giga embeddable web components
+ *
+ *   <script src="https://giga.global/giga-embed.js" defer></script>
+ *
+ *   <giga-stat metric="schools-mapped"></giga-stat>
+ *   <giga-stat-grid metrics="schools-mapped,schools-connected"></giga-stat-grid>
+ *   <giga-country-card country="BR"></giga-country-card>
+ *   <giga-footprint-map></giga-footprint-map>
+ *
+ * Standalone: needs neither scripts-new.js nor window.GIGA, and defines nothing global besides
+ * the elements. Every element on the page shares one request per file, read from the site's
+ * data/ and locales/ folders next to this script. Point it elsewhere with
+ * <script src="giga-embed.js" data-base="https://example.org/giga/data/">; the site root
+ * (story links, images, translations) is taken to be the folder above.
+ *
+ * Attributes on every element:
+ *   theme="light|dark|high-contrast"  omitted: follows prefers-color-scheme and prefers-contrast
+ *   lang="fr"                         text and number formatting; otherwise the nearest lang on
+ *                                     the page. English, French, Spanish and Arabic are translated.
+ *
+ * Per element:
+ *   <giga-stat metric="..." year="2022" compact no-source>
+ *       year defaults to the latest report; compact drops the description; no-source drops the
+ *       attribution line
+ *   <giga-stat-grid metrics="a,b" year="2022" compact>   all metrics when metrics is omitted
+ *   <giga-country-card country="BR">                     ISO 3166-1 alpha-2 code
+ *   <giga-footprint-map statuses="active,mapping">       which layers to colour (default: all)
+ *
+ * Host pages can restyle with --giga-embed-font and --giga-embed-primary, or ::part(card).
+ */
+(() => {
+    if (!window.customElements || customElements.get('giga-stat')) return;
+
+    const script = document.currentScript;
+    const dataBase = new URL(script?.dataset.base || 'data/', script?.src || window.location.href);
+    const siteBase = new URL('../', dataBase);
+
+    const SCHEMA_VERSION = 1;
+    const LOCALES = ['fr', 'es', 'ar'];
+    const RTL_LOCALES = ['ar'];
+    const STATUSES = ['active', 'mapping', 'interest'];
+
+    // English; the site's locale catalogs use the same keys
+    const STRINGS = {
+        'embed.loading': 'Loading Giga data…',
+        'embed.unavailable': 'Giga data is unavailable right now.',
+        'embed.noCountry': 'Giga has no data for this country yet.',
+        'embed.source': 'Source: Giga (UNICEF and ITU), {date}',
+        'progress.delta': '{change} vs {year}',
+        'footprint.mapLabel': "World map showing GIGA's global presence (updated {date})",
+        'footprint.countryLabel': '{country}: {status}',
+        'footprint.status.active': 'Giga is active',
+        'footprint.status.mapping': 'School mapping support',
+        'footprint.status.interest': 'Early interest',
+        'story.readMore': 'Read the full story',
+        'story.readMoreLabel': 'Read the full story: {title}',
+        'story.stat.schoolsConnected': 'Schools connected',
+        'story.stat.studentsReached': 'Students and teachers reached',
+        'story.stat.maxSpeedMbps': 'Maximum speed',
+        'story.speed': '{value} Mbps'
+    };
+
+    // Same values as the site's theme tokens in styles-new.css
+    const PALETTES = {
+        light: {
+            bg: '#FFFFFF',
+            surface: '#F8F9FA',
+            text: '#3C4043',
+            'text-soft': '#5F6368',
+            heading: '#202124',
+            border: '#E8EAED',
+            brand: 'var(--giga-embed-primary, #4A90E2)',
+            link: '#357ABD',
+            focus: '#4A90E2',
+            success: '#00695C',
+            'success-bg': 'rgba(0, 212, 170, 0.12)',
+            warning: '#B23C12',
+            'warning-bg': 'rgba(255, 107, 53, 0.12)',
+            'map-land': '#E8EAED',
+            'map-active': '#4A90E2',
+            'map-mapping': '#00D4AA',
+            'map-interest': '#FF6B35'
+        },
+        dark: {
+            bg: '#121417',
+            surface: '#1F2328',
+            text: '#E3E5E8',
+            'text-soft': '#C9CCD1',
+            heading: '#F5F6F7',
+            border: '#353A41',
+            brand: 'var(--giga-embed-primary, #7FB2EE)',
+            link: '#9CC3F2',
+            focus: '#9CC3F2',
+            success: '#5EE0C0',
+            'success-bg': 'rgba(0, 212, 170, 0.16)',
+            warning: '#FF9A73',
+            'warning-bg': 'rgba(255, 107, 53, 0.16)',
+            'map-land': '#3C4043',
+            'map-active': '#4A90E2',
+            'map-mapping': '#00D4AA',
+            'map-interest': '#FF6B35'
+        },
+        'high-contrast': {
+            bg: '#FFFFFF',
+            surface: '#FFFFFF',
+            text: '#000000',
+            'text-soft': '#000000',
+            heading: '#000000',
+            border: '#000000',
+            brand: '#0B4A8F',
+            link: '#0A3D75',
+            focus: '#000000',
+            success: '#004D40',
+            'success-bg': '#FFFFFF',
+            warning: '#7A2606',
+            'warning-bg': '#FFFFFF',
+            'map-land': '#BDC1C6',
+            'map-active': '#0B4A8F',
+            'map-mapping': '#00695C',
+            'map-interest': '#B23C12'
+        }
+    };
+
+    const palette = name => Object.entries(PALETTES[name]).map(([token, value]) => `--${token}: ${value};`).join(' ');
+
+    const BASE_STYLES = `
+        :host {
+            ${palette('light')}
+            display: block;
+            color: var(--text);
+            font-family: var(--giga-embed-font, "Helvetica Neue", Arial, sans-serif);
+            line-height: 1.5;
+        }
+        :host([hidden]) { display: none; }
+        @media (prefers-color-scheme: dark) { :host(:not([theme])) { ${palette('dark')} } }
+        @media (prefers-contrast: more) { :host(:not([theme])) { ${palette('high-contrast')} } }
+        :host([theme="dark"]) { ${palette('dark')} }
+        :host([theme="high-contrast"]) { ${palette('high-contrast')} }
+        * { box-sizing: border-box; margin: 0; }
+        .card {
+            height: 100%;
+            padding: 1.5rem;
+            border-radius: 12px;
+            background: var(--surface);
+            border: 1px solid var(--border);
+        }
+        .status-message { color: var(--text-soft); font-size: 0.875rem; }
+        .source { margin-top: 1rem; color: var(--text-soft); font-size: 0.75rem; }
+        a { color: var(--link); font-weight: 600; }
+        a:focus-visible, [tabindex]:focus-visible { outline: 2px solid var(--focus); outline-offset: 2px; }
+        .visually-hidden {
+            position: absolute;
+            width: 1px;
+            height: 1px;
+            overflow: hidden;
+            clip: rect(0, 0, 0, 0);
+            white-space: nowrap;
+        }
+    `;
+
+    // One request per file for every element on the page; a failed request is retried next time
+    const dataSource = {
+        requests: new Map(),
+
+        load(url) {
+            const key = url.href;
+            if (!this.requests.has(key)) {
+                const request = fetch(key).then(response => {
+                    if (!response.ok) throw new Error(`${key}: HTTP ${response.status}`);
+                    return response.json();
+                });
+                request.catch(() => this.requests.delete(key));
+                this.requests.set(key, request);
+            }
+            return this.requests.get(key);
+        },
+
+        async versioned(file) {
+            const data = await this.load(new URL(file, dataBase));
+            if (data.schemaVersion !== SCHEMA_VERSION) {
+                throw new Error(`${file}: unsupported schema version ${data.schemaVersion}`);
+            }
+            return data;
+        },
+
+        progress() {
+            return this.versioned('progress.json');
+        },
+
+        stories() {
+            return this.versioned('stories.json');
+        },
+
+        footprint() {
+            return this.load(new URL('footprint.json', dataBase));
+        },
+
+        worldMap() {
+            return this.load(new URL('world-map.json', dataBase));
+        },
+
+        // English needs no catalog; a missing catalog falls back to English too
+        messages(language) {
+            if (!LOCALES.includes(language)) return Promise.resolve({});
+            return this.load(new URL(`locales/${language}.json`, siteBase)).catch(() => ({}));
+        }
+    };
+
+    const escapeHTML = value => String(value).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+
+    const reducedMotion = () => window.matchMedia('(prefers-reduced-motion: reduce)').matches
+        || document.documentElement.classList.contains('reduce-motion');
+
+    // Base element: an open shadow root, a locale, and a render that waits for its data
+    class GigaElement extends HTMLElement {
+        static observedAttributes = ['theme', 'lang'];
+        static styles = '';
+
+        constructor() {
+            super();
+            this.attachShadow({ mode: 'open' });
+            this.renderId = 0;
+            this.messages = {};
+        }
+
+        connectedCallback() {
+            this.update();
+        }
+
+        disconnectedCallback() {
+            this.teardown();
+        }
+
+        attributeChangedCallback(name, oldValue, newValue) {
+            if (oldValue !== newValue && this.isConnected) this.update();
+        }
+
+        // lang on the element, else the nearest one outside the shadow tree, else the page's
+        get locale() {
+            let node = this;
+            while (node) {
+                if (node.lang) break;
+                node = node.parentElement || node.getRootNode().host;
+            }
+            const lang = (node && node.lang) || document.documentElement.lang || 'en';
+            try {
+                return Intl.getCanonicalLocales(lang)[0];
+            } catch (error) {
+                return 'en';
+            }
+        }
+
+        get language() {
+            return this.locale.split('-')[0];
+        }
+
+        t(key, params = {}, fallback) {
+            const message = this.messages[key] ?? fallback ?? STRINGS[key] ?? key;
+            return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+        }
+
+        formatNumber(value, options = {}) {
+            return new Intl.NumberFormat(this.locale, options).format(value);
+        }
+
+        formatCompact(value) {
+            return value >= 1000
+                ? this.formatNumber(value, { notation: 'compact', maximumFractionDigits: 2 })
+                : this.formatNumber(Math.floor(value));
+        }
+
+        formatDate(isoDate) {
+            const date = new Date(isoDate);
+            if (isNaN(date)) return isoDate;
+            return new Intl.DateTimeFormat(this.locale, { dateStyle: 'long', timeZone: 'UTC' }).format(date);
+        }
+
+        regionName(iso, fallback) {
+            try {
+                return new Intl.DisplayNames([this.locale], { type: 'region' }).of(iso) || fallback;
+            } catch (error) {
+                return fallback;
+            }
+        }
+
+        source(date) {
+            return this.hasAttribute('no-source') ? '' : `<p class="source">${escapeHTML(this.t('embed.source', { date: this.formatDate(date) }))}</p>`;
+        }
+
+        async update() {
+            const renderId = ++this.renderId;
+            this.teardown();
+
+            if (!this.body) {
+                this.shadowRoot.innerHTML = `<style>${BASE_STYLES}${this.constructor.styles}</style><div class="body"></div>`;
+                this.body = this.shadowRoot.querySelector('.body');
+                this.body.innerHTML = `<p class="status-message" role="status">${escapeHTML(STRINGS['embed.loading'])}</p>`;
+            }
+            this.body.lang = this.locale;
+            this.body.dir = RTL_LOCALES.includes(this.language) ? 'rtl' : 'ltr';
+
+            try {
+                const messages = await dataSource.messages(this.language);
+                const html = await this.render(messages);
+                if (renderId !== this.renderId) return;
+
+                this.messages = messages;
+                this.body.innerHTML = html;
+                this.rendered();
+            } catch (error) {
+                if (renderId !== this.renderId) return;
+                console.warn(`<${this.localName}> data unavailable:`, error);
+                this.body.innerHTML = `<p class="status-message">${escapeHTML(this.t('embed.unavailable'))}</p>`;
+            }
+        }
+
+        render() {
+            return '';
+        }
+
+        rendered() {}
+
+        teardown() {}
+    }
+
+    // A single progress figure; counts up once it scrolls into view
+    class GigaStat extends GigaElement {
+        static observedAttributes = [...GigaElement.observedAttributes, 'metric', 'year', 'compact', 'no-source'];
+
+        static styles = `
+            .number { color: var(--brand); font-size: 3rem; font-weight: 800; line-height: 1; }
+            .delta {
+                display: inline-block;
+                margin-top: 0.75rem;
+                padding: 0.125rem 0.5rem;
+                border-radius: 4px;
+                font-size: 0.875rem;
+                font-weight: 600;
+            }
+            .delta.up { background: var(--success-bg); color: var(--success); }
+            .delta.down { background: var(--warning-bg); color: var(--warning); }
+            .title { margin-top: 0.75rem; color: var(--heading); font-size: 1.125rem; font-weight: 700; line-height: 1.3; }
+            .description { margin-top: 0.5rem; color: var(--text-soft); font-size: 0.9375rem; }
+        `;
+
+        async render(messages) {
+            const data = await dataSource.progress();
+            this.messages = messages;
+
+            const metric = data.metrics.find(candidate => candidate.id === this.getAttribute('metric'));
+            if (!metric) throw new Error(`unknown metric "${this.getAttribute('metric')}"`);
+
+            const years = Object.keys(metric.values).map(Number).sort((a, b) => a - b);
+            const requested = Number(this.getAttribute('year'));
+            const year = years.includes(requested) ? requested : (data.defaultYear || years[years.length - 1]);
+            const value = metric.values[year];
+            const previousYear = years.filter(candidate => candidate < year).pop();
+            const previous = metric.values[previousYear];
+
+            let delta = '';
+            if (previous) {
+                const change = Math.round((value - previous) / previous * 100);
+                const direction = change > 0 ? 'up' : change < 0 ? 'down' : 'flat';
+                delta = `<p class="delta ${direction}">${escapeHTML(this.t('progress.delta', {
+                    change: this.formatNumber(change / 100, { style: 'percent', signDisplay: 'exceptZero' }),
+                    year: previousYear
+                }))}</p>`;
+            }
+
+            const description = this.hasAttribute('compact') ? '' : `<p class="description">${escapeHTML(
+                this.t(`progress.${metric.id}.${year}`, {}, metric.descriptions && metric.descriptions[year])
+            )}</p>`;
+
+            this.value = value;
+            return `
+                <div class="card" part="card">
+                    <p class="number"><span aria-hidden="true" data-counter>${escapeHTML(this.formatCompact(value))}</span><span class="visually-hidden">${escapeHTML(this.formatCompact(value))}</span></p>
+                    ${delta}
+                    <p class="title">${escapeHTML(this.t(`progress.${metric.id}.title`, {}, metric.title))}</p>
+                    ${description}
+                    ${this.source(data.updated)}
+                </div>
+            `;
+        }
+
+        rendered() {
+            const counter = this.body.querySelector('[data-counter]');
+            if (this.counted || reducedMotion() || !('IntersectionObserver' in window)) return;
+
+            counter.textContent = this.formatCompact(0);
+            this.observer = new IntersectionObserver(entries => {
+                if (!entries.some(entry => entry.isIntersecting)) return;
+                this.observer.disconnect();
+                this.counted = true;
+                this.animate(counter, this.value);
+            }, { threshold: 0.5 });
+            this.observer.observe(this);
+        }
+
+        // Same curve and duration as the site's counters
+        animate(counter, to) {
+            const duration = 2000;
+            let start = null;
+
+            const step = timestamp => {
+                if (start === null) start = timestamp;
+                const progress = Math.min((timestamp - start) / duration, 1);
+                counter.textContent = this.formatCompact(to * (1 - Math.pow(1 - progress, 3)));
+                if (progress < 1) this.frame = requestAnimationFrame(step);
+            };
+            this.frame = requestAnimationFrame(step);
+        }
+
+        teardown() {
+            if (this.observer) this.observer.disconnect();
+            if (this.frame) cancelAnimationFrame(this.frame);
+            this.observer = null;
+            this.frame = null;
+        }
+    }
+
+    // Several <giga-stat>s in a responsive grid with one attribution line
+    class GigaStatGrid extends GigaElement {
+        static observedAttributes = [...GigaElement.observedAttributes, 'metrics', 'year', 'compact', 'no-source'];
+
+        static styles = `
+            .grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(min(260px, 100%), 1fr)); gap: 1.5rem; }
+        `;
+
+        async render(messages) {
+            const data = await dataSource.progress();
+            this.messages = messages;
+
+            const requested = (this.getAttribute('metrics') || '').split(',').map(id => id.trim()).filter(Boolean);
+            const ids = requested.length ? requested : data.metrics.map(metric => metric.id);
+
+            // Children don't see the page's lang through the shadow root, so hand everything down
+            const shared = ['theme', 'year', 'compact']
+                .filter(name => this.hasAttribute(name))
+                .map(name => ` ${name}="${escapeHTML(this.getAttribute(name))}"`)
+                .join('');
+
+            return `
+                <div class="grid" part="grid">
+                    ${ids.map(id => `<giga-stat metric="${escapeHTML(id)}" lang="${escapeHTML(this.locale)}" no-source exportparts="card"${shared}></giga-stat>`).join('')}
+                </div>
+                ${this.source(data.updated)}
+            `;
+        }
+    }
+
+    // A country's status, headline figures and story summary, linking to the full story on the site
+    class GigaCountryCard extends GigaElement {
+        static observedAttributes = [...GigaElement.observedAttributes, 'country', 'no-source'];
+
+        static STATS = ['schoolsConnected', 'studentsReached', 'maxSpeedMbps'];
+
+        static styles = `
+            .card { padding: 0; overflow: hidden; }
+            .image { display: block; width: 100%; height: 200px; object-fit: cover; }
+            .content { padding: 1.5rem; }
+            .badge {
+                display: inline-block;
+                padding: 0.125rem 0.75rem;
+                border-radius: 999px;
+                border: 1px solid currentColor;
+                color: var(--link);
+                font-size: 0.875rem;
+                font-weight: 600;
+            }
+            .title { margin-top: 0.75rem; color: var(--brand); font-size: 1.5rem; font-weight: 700; line-height: 1.2; }
+            .stats { display: grid; grid-template-columns: repeat(auto-fit, minmax(120px, 1fr)); gap: 0.75rem; margin-top: 1rem; }
+            .stats div { display: flex; flex-direction: column-reverse; }
+            .stats dt { color: var(--text-soft); font-size: 0.875rem; }
+            .stats dd { color: var(--heading); font-size: 1.5rem; font-weight: 700; }
+            .description { margin-top: 1rem; }
+            .link { display: inline-block; margin-top: 1rem; }
+            .source { margin-top: 0; padding: 0 1.5rem 1.5rem; }
+        `;
+
+        async render(messages) {
+            const [footprint, stories] = await Promise.all([dataSource.footprint(), dataSource.stories()]);
+            this.messages = messages;
+
+            const iso = (this.getAttribute('country') || '').trim().toUpperCase();
+            const country = footprint.countries.find(candidate => candidate.iso === iso);
+            const story = stories.stories.find(candidate => candidate.iso === iso);
+            if (!country && !story) {
+                return `<p class="status-message">${escapeHTML(this.t('embed.noCountry'))}</p>`;
+            }
+
+            const name = this.t(`story.${iso}.title`, {}, this.regionName(iso, country ? country.name : iso));
+            const image = story && story.images && story.images[0];
+            const stats = (country && country.stats) || {};
+
+            const statItems = GigaCountryCard.STATS.filter(key => stats[key] !== undefined).map(key => {
+                const value = key === 'maxSpeedMbps'
+                    ? this.t('story.speed', { value: this.formatNumber(stats[key]) })
+                    : this.formatCompact(stats[key]);
+                return `<div><dt>${escapeHTML(this.t(`story.stat.${key}`))}</dt><dd>${escapeHTML(value)}</dd></div>`;
+            }).join('');
+
+            const summary = this.t(`story.${iso}.description`, {}, story && story.narrative ? story.narrative[0] : '');
+            const link = story ? new URL(`#/country/${story.slug}`, siteBase).href : '';
+
+            return `
+                <article class="card" part="card">
+                    ${image ? `<img class="image" src="${escapeHTML(new URL(image.src, siteBase).href)}" alt="${escapeHTML(this.t(`story.${iso}.alt`, {}, image.alt))}" loading="lazy">` : ''}
+                    <div class="content">
+                        ${country ? `<p class="badge">${escapeHTML(this.t(`footprint.status.${country.status}`))}</p>` : ''}
+                        <p class="title">${escapeHTML(name)}</p>
+                        ${statItems ? `<dl class="stats">${statItems}</dl>` : ''}
+                        ${summary ? `<p class="description">${escapeHTML(summary)}</p>` : ''}
+                        ${link ? `<a class="link" href="${escapeHTML(link)}" target="_blank" rel="noopener" aria-label="${escapeHTML(this.t('story.readMoreLabel', { title: name }))}">${escapeHTML(this.t('story.readMore'))}</a>` : ''}
+                    </div>
+                    ${this.source(footprint.updated)}
+                </article>
+            `;
+        }
+    }
+
+    // The world map coloured by Giga status; countries with a story link to it
+    class GigaFootprintMap extends GigaElement {
+        static observedAttributes = [...GigaElement.observedAttributes, 'statuses', 'no-source'];
+
+        static styles = `
+            .map { display: block; width: 100%; height: auto; }
+            .country { fill: var(--map-land); stroke: var(--bg); stroke-width: 0.5; }
+            .country.active { fill: var(--map-active); }
+            .country.mapping { fill: var(--map-mapping); }
+            .country.interest { fill: var(--map-interest); }
+            a:focus-visible .country, .country:focus-visible { outline: none; stroke: var(--heading); stroke-width: 1.5; }
+            a:hover .country, .country[tabindex]:hover { opacity: 0.75; }
+            .legend { display: flex; flex-wrap: wrap; justify-content: center; gap: 0.5rem 1.5rem; margin-top: 1rem; padding: 0; list-style: none; font-size: 0.875rem; }
+            .legend li { display: flex; align-items: center; gap: 0.5rem; }
+            .swatch { width: 14px; height: 14px; border-radius: 50%; }
+            .swatch.active { background: var(--map-active); }
+            .swatch.mapping { background: var(--map-mapping); }
+            .swatch.interest { background: var(--map-interest); }
+        `;
+
+        async render(messages) {
+            const [geometry, footprint, stories] = await Promise.all([
+                dataSource.worldMap(),
+                dataSource.footprint(),
+                dataSource.stories().catch(() => ({ stories: [] }))
+            ]);
+            this.messages = messages;
+
+            const requested = (this.getAttribute('statuses') || '').split(',').map(status => status.trim()).filter(status => STATUSES.includes(status));
+            const statuses = requested.length ? requested : STATUSES;
+            const countries = new Map(footprint.countries.filter(country => statuses.includes(country.status)).map(country => [country.iso, country]));
+            const slugs = new Map(stories.stories.map(story => [story.iso, story.slug]));
+
+            const paths = geometry.countries.map(shape => {
+                const country = countries.get(shape.iso);
+                if (!country) return `<path class="country" d="${escapeHTML(shape.d)}" aria-hidden="true"></path>`;
+
+                const label = this.t('footprint.countryLabel', {
+                    country: this.regionName(country.iso, country.name),
+                    status: this.t(`footprint.status.${country.status}`)
+                });
+                const path = `<path class="country ${country.status}" d="${escapeHTML(shape.d)}"><title>${escapeHTML(label)}</title></path>`;
+
+                if (slugs.has(country.iso)) {
+                    const href = new URL(`#/country/${slugs.get(country.iso)}`, siteBase).href;
+                    return `<a href="${escapeHTML(href)}" target="_blank" rel="noopener" aria-label="${escapeHTML(label)}">${path}</a>`;
+                }
+                return path.replace('<path ', `<path tabindex="0" role="img" aria-label="${escapeHTML(label)}" `);
+            }).join('');
+
+            const legend = statuses.map(status => `
+                <li><span class="swatch ${status}" aria-hidden="true"></span>${escapeHTML(this.t(`footprint.status.${status}`))}</li>
+            `).join('');
+
+            return `
+                <div class="card" part="card">
+                    <svg class="map" viewBox="${escapeHTML(geometry.viewBox)}" role="group" aria-label="${escapeHTML(this.t('footprint.mapLabel', { date: this.formatDate(footprint.updated) }))}">${paths}</svg>
+                    <ul class="legend">${legend}</ul>
+                    ${this.source(footprint.updated)}
+                </div>
+            `;
+        }
+    }
+
+    customElements.define('giga-stat', GigaStat);
+    customElements.define('giga-stat-grid', GigaStatGrid);
+    customElements.define('giga-country-card', GigaCountryCard);
+    customElements.define('giga-footprint-map', GigaFootprintMap);
+})();
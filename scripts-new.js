@@ -50,7 +50,7 @@ const utils = {
 
         window.scrollTo({
             top: offsetPosition,
-            behavior: 'smooth'
+            behavior: motion.reduced() ? 'auto' : 'smooth'
         });
     },
 
@@ -58,645 +58,6205 @@ const utils = {
     getHeaderHeight: () => {
         const header = document.querySelector('.site-header');
         return header ? header.offsetHeight : 0;
+    },
+
+    // localStorage that tolerates private browsing and disabled storage
+    storage: {
+        get: (key) => {
+            try {
+                return window.localStorage.getItem(key);
+            } catch (error) {
+                return null;
+            }
+        },
+
+        set: (key, value) => {
+            try {
+                window.localStorage.setItem(key, value);
+            } catch (error) {
+                // Preference just won't persist
+            }
+        }
+    },
+
+    // Polite screen reader announcement through one shared live region
+    announce: (message) => {
+        let region = document.getElementById('giga-announcer');
+        if (!region) {
+            region = document.createElement('div');
+            region.id = 'giga-announcer';
+            region.className = 'visually-hidden';
+            region.setAttribute('role', 'status');
+            document.body.appendChild(region);
+        }
+
+        // Cleared first so repeating the same message is announced again
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = message;
+        }, 50);
+    },
+
+    // Fire-and-forget POST that survives the page unloading; a plain string goes out as
+    // text/plain, which needs no CORS preflight
+    beacon: (url, payload) => {
+        const queued = navigator.sendBeacon ? navigator.sendBeacon(url, payload) : false;
+        if (!queued) {
+            fetch(url, { method: 'POST', body: payload, keepalive: true }).catch(() => {});
+        }
+    }
+};
+
+// Localization: translation catalogs, <html lang/dir> and number formatting
+const i18n = {
+    locales: {
+        en: { name: 'English', dir: 'ltr' },
+        fr: { name: 'Français', dir: 'ltr' },
+        es: { name: 'Español', dir: 'ltr' },
+        ar: { name: 'العربية', dir: 'rtl' }
+    },
+    defaultLocale: 'en',
+    catalogPath: 'locales/',
+    storageKey: 'giga-locale',
+    locale: 'en',
+    messages: {},
+
+    // English strings injected from JS; markup keeps its own English text
+    defaults: {
+        'language.label': 'Language',
+        'progress.yearLabel': 'Reporting year',
+        'progress.delta': '{change} vs {year}',
+        'footprint.mapLabel': "World map showing GIGA's global presence (updated {date})",
+        'footprint.status.active': 'Giga is active',
+        'footprint.status.mapping': 'School mapping support',
+        'footprint.status.interest': 'Early interest',
+        'footprint.stat.schoolsConnected': 'Schools connected',
+        'footprint.stat.studentsReached': 'Students and teachers reached',
+        'footprint.stat.schoolsMapped': 'Schools mapped',
+        'footprint.countryLabel': '{country}: {status}',
+        'footprint.hint': 'Select to read the story',
+        'form.required': 'This field is required',
+        'form.submitting': 'Submitting...',
+        'form.success': 'Thank you! Your message has been sent.',
+        'form.error': 'Sorry, there was an error. Please try again.',
+        'form.network': 'We could not reach the server. Check your connection and try again.',
+        'form.rateLimited': 'Too many submissions in a short time. Please wait a minute and try again.',
+        'form.tooFast': 'That was quick! Please review your answers and send the form again.',
+        'form.fixErrors': 'Please correct the highlighted fields.',
+        'form.step': 'Step {current} of {total}: {title}',
+        'validation.email': 'Enter an email address like name@example.org.',
+        'validation.url': 'Enter a web address starting with https://.',
+        'validation.number': 'Enter a number.',
+        'validation.min': 'Enter {min} or more.',
+        'validation.max': 'Enter {max} or less.',
+        'validation.minLength.one': 'Enter at least {count} character.',
+        'validation.minLength.other': 'Enter at least {count} characters.',
+        'validation.maxLength.one': 'Use no more than {count} character.',
+        'validation.maxLength.other': 'Use no more than {count} characters.',
+        'validation.pattern': 'Use the format shown.',
+        'validation.minChecked.one': 'Select at least {count} option.',
+        'validation.minChecked.other': 'Select at least {count} options.',
+        'validation.match': 'This must match {label}.',
+        'validation.summary.one': 'There is {count} problem with this form',
+        'validation.summary.other': 'There are {count} problems with this form',
+        'consent.footerLink': 'Privacy settings',
+        'consent.placeholder.media': 'This content is hosted by {provider}, which may set cookies. Enable media content to view it.',
+        'consent.enable.media': 'Enable media content',
+        'partners.region.africa': 'Africa',
+        'partners.region.americas': 'Americas',
+        'partners.region.asiaPacific': 'Asia-Pacific',
+        'partners.region.europeMiddleEast': 'Europe & Middle East',
+        'partners.region.global': 'Global',
+        'partners.type.government': 'Government',
+        'partners.type.private': 'Private sector',
+        'partners.type.funding': 'Funding',
+        'partners.directory.title': 'Partner directory',
+        'partners.directory.search': 'Search partners',
+        'partners.directory.searchPlaceholder': 'Country or institution',
+        'partners.directory.region': 'Region',
+        'partners.directory.allRegions': 'All regions',
+        'partners.directory.type': 'Type',
+        'partners.directory.allTypes': 'All types',
+        'partners.directory.summary': '{partners} in {countries}',
+        'partners.directory.partners.one': '{count} partner',
+        'partners.directory.partners.other': '{count} partners',
+        'partners.directory.countries.one': '{count} country',
+        'partners.directory.countries.other': '{count} countries',
+        'partners.directory.jump': 'Jump to letter',
+        'partners.directory.empty': 'No partners match these filters.',
+        'partners.directory.clear': 'Clear filters',
+        'story.readMore': 'Read the full story',
+        'story.readMoreLabel': 'Read the full story: {title}',
+        'story.back': 'Back to all stories',
+        'story.stat.schoolsConnected': 'Schools connected',
+        'story.stat.studentsReached': 'Students and teachers reached',
+        'story.stat.maxSpeedMbps': 'Maximum speed',
+        'story.speed': '{value} Mbps',
+        'offline.banner': 'You are offline. You are viewing a saved copy of this page; videos and content from other sites will load when you reconnect.',
+        'offline.restored': 'You are back online.',
+        'offline.embed': 'This video needs an internet connection. It will be available again when you are back online.',
+        'video.close': 'Close video',
+        'video.dialog': 'Video player',
+        'video.previous': 'Previous video',
+        'video.next': 'Next video',
+        'video.position': '{current} of {total}',
+        'video.openPlayer': 'Watch in player',
+        'video.openPlayerLabel': 'Watch {title} in the video player',
+        'video.play': 'Play video: {title}',
+        'lockscreen.unlocked': 'Welcome. You are at the top of the Giga 2023 impact page.',
+        'report.kicker': 'Annual report',
+        'report.generated': 'Printed on {date} from {url}',
+        'report.contents': 'Contents',
+        'report.summary': 'Summary',
+        'report.watch': 'Scan to watch the video',
+        'share.button': 'Share',
+        'share.label': 'Share: {title}',
+        'share.menu': 'Share options',
+        'share.link': 'Link to share',
+        'share.copy': 'Copy link',
+        'share.copied': 'Link copied to the clipboard.',
+        'share.copyFailed': 'The link could not be copied automatically. It is selected: press Ctrl+C to copy it.',
+        'share.twitter': 'Share on X (Twitter)',
+        'share.linkedin': 'Share on LinkedIn',
+        'share.download': 'Download image',
+        'share.cardSource': 'Giga, a UNICEF and ITU initiative · {year}',
+        'chart.toggle': 'Trend and {year} target',
+        'chart.toggleLabel': '{title}: trend and {year} target',
+        'chart.sparkline': 'Trend {from}–{to}: from {start} to {end}',
+        'chart.label': '{title} by year. Use the arrow keys to move between years.',
+        'chart.caption': '{title} by year',
+        'chart.year': 'Year',
+        'chart.value': 'Value',
+        'chart.reported': 'Reported',
+        'chart.target': '{year} target',
+        'chart.point': '{year}: {value}',
+        'chart.targetPoint': '{year} target: {value}',
+        'search.title': 'Search this page',
+        'search.placeholder': 'Search stats, stories, voices and partners',
+        'search.close': 'Close search',
+        'search.hint': '↑ ↓ to move · Enter to go · Esc to close',
+        'search.results.one': '{count} result',
+        'search.results.other': '{count} results',
+        'search.empty': 'No matches for “{query}”',
+        'search.group.sections': 'Sections',
+        'search.group.stats': 'Progress',
+        'search.group.stories': 'Stories',
+        'search.group.voices': 'Giga Voices',
+        'search.group.partners': 'Partners'
+    },
+
+    // Original English markup, captured the first time an element is translated
+    originals: new WeakMap(),
+
+    detect() {
+        const saved = utils.storage.get(this.storageKey);
+        if (saved && this.locales[saved]) return saved;
+
+        const preferred = (navigator.languages || [navigator.language || ''])
+            .map(language => language.toLowerCase().split('-')[0])
+            .find(language => this.locales[language]);
+
+        return preferred || this.defaultLocale;
+    },
+
+    async setLocale(locale, { persist = true } = {}) {
+        if (!this.locales[locale]) locale = this.defaultLocale;
+
+        let messages = {};
+        if (locale !== this.defaultLocale) {
+            try {
+                const response = await fetch(`${this.catalogPath}${locale}.json`);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                messages = await response.json();
+            } catch (error) {
+                console.warn(`Translations for "${locale}" unavailable:`, error);
+                return false;
+            }
+        }
+
+        this.locale = locale;
+        this.messages = messages;
+
+        document.documentElement.lang = locale;
+        document.documentElement.dir = this.locales[locale].dir;
+        if (persist) utils.storage.set(this.storageKey, locale);
+
+        this.translatePage();
+        document.dispatchEvent(new CustomEvent('giga:localechange', { detail: { locale } }));
+        return true;
+    },
+
+    has(key) {
+        return key in this.messages || key in this.defaults;
+    },
+
+    t(key, params = {}) {
+        const message = this.messages[key] ?? this.defaults[key] ?? key;
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    },
+
+    // Picks "key.one", "key.few", ... for the locale, falling back to "key.other"
+    plural(key, count, params = {}) {
+        const category = new Intl.PluralRules(this.locale).select(count);
+        const pluralKey = this.has(`${key}.${category}`) ? `${key}.${category}` : `${key}.other`;
+        return this.t(pluralKey, { count: this.formatNumber(count), ...params });
+    },
+
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            const original = this.original(element);
+            const key = element.dataset.i18n;
+            element.textContent = key in this.messages ? this.messages[key] : original.text;
+        });
+
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            const original = this.original(element);
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attr, key] = pair.split(':').map(part => part.trim());
+                if (!attr || !key) return;
+                element.setAttribute(attr, key in this.messages ? this.messages[key] : original.attrs[attr]);
+            });
+        });
+    },
+
+    original(element) {
+        if (!this.originals.has(element)) {
+            const attrs = {};
+            (element.dataset.i18nAttr || '').split(';').forEach(pair => {
+                const attr = pair.split(':')[0].trim();
+                if (attr) attrs[attr] = element.getAttribute(attr);
+            });
+            this.originals.set(element, { text: element.textContent.trim(), attrs });
+        }
+        return this.originals.get(element);
+    },
+
+    formatNumber(num, options = {}) {
+        return new Intl.NumberFormat(this.locale, options).format(num);
+    },
+
+    // "2.1M" / "2,1 M" / "2,1 mil" depending on the locale
+    formatCompact(num) {
+        return this.formatNumber(num, { notation: 'compact', maximumFractionDigits: 2 });
+    },
+
+    formatPercentChange(change) {
+        return this.formatNumber(change / 100, { style: 'percent', signDisplay: 'exceptZero' });
+    },
+
+    formatDate(isoDate) {
+        const date = new Date(isoDate);
+        if (isNaN(date)) return isoDate;
+        return new Intl.DateTimeFormat(this.locale, { dateStyle: 'long', timeZone: 'UTC' }).format(date);
+    },
+
+    regionName(iso, fallback) {
+        try {
+            return new Intl.DisplayNames([this.locale], { type: 'region' }).of(iso) || fallback;
+        } catch (error) {
+            return fallback;
+        }
+    }
+};
+
+// Consent: which third-party origins the visitor has allowed
+const consent = {
+    storageKey: 'giga-consent',
+    version: 1,
+    categories: ['essential', 'media', 'analytics'],
+    state: null,
+
+    load() {
+        try {
+            const stored = JSON.parse(utils.storage.get(this.storageKey));
+            this.state = stored && stored.version === this.version ? stored : null;
+        } catch (error) {
+            this.state = null;
+        }
+        return this.state;
+    },
+
+    hasDecided() {
+        return this.state !== null;
+    },
+
+    has(category) {
+        return category === 'essential' || Boolean(this.state && this.state[category]);
+    },
+
+    // Returns the categories that were granted before and are now withdrawn
+    set(choices) {
+        const previous = this.state;
+        this.state = {
+            version: this.version,
+            media: Boolean(choices.media),
+            analytics: Boolean(choices.analytics),
+            updated: new Date().toISOString()
+        };
+        utils.storage.set(this.storageKey, JSON.stringify(this.state));
+
+        const revoked = this.categories.filter(category => previous && previous[category] && !this.state[category]);
+
+        this.activateGranted();
+        document.dispatchEvent(new CustomEvent('giga:consentchange', { detail: { state: this.state, revoked } }));
+        return revoked;
+    },
+
+    grant(category) {
+        return this.set({ ...this.state, [category]: true });
+    },
+
+    activateGranted() {
+        return Promise.all(this.categories.filter(category => this.has(category)).map(category => this.activate(category)));
+    },
+
+    // Swap inert <link data-href> / <script type="text/plain"> placeholders for
+    // the real thing, in document order so inline scripts run after their libraries
+    async activate(category) {
+        const pending = document.querySelectorAll(`[data-consent="${category}"]:not([data-consent-activated])`);
+
+        for (const element of pending) {
+            element.dataset.consentActivated = '';
+
+            if (element.tagName === 'LINK') {
+                element.href = element.dataset.href;
+            } else if (element.tagName === 'SCRIPT') {
+                const script = document.createElement('script');
+                if (element.dataset.type) script.type = element.dataset.type;
+
+                if (element.dataset.src) {
+                    script.src = element.dataset.src;
+                    await new Promise(resolve => {
+                        script.addEventListener('load', resolve);
+                        script.addEventListener('error', resolve);
+                        element.after(script);
+                    });
+                } else {
+                    script.textContent = element.textContent;
+                    try {
+                        element.after(script);
+                    } catch (error) {
+                        console.warn('Deferred script failed:', error);
+                    }
+                }
+            }
+        }
+    }
+};
+
+// Motion: follows prefers-reduced-motion unless the visitor overrides it from the footer.
+// Sets <html class="reduce-motion"> and fires giga:motionchange with { reduced }.
+const motion = {
+    storageKey: 'giga-motion',
+    query: null,
+    choice: null,
+    current: null,
+
+    init() {
+        this.query = window.matchMedia('(prefers-reduced-motion: reduce)');
+        const saved = utils.storage.get(this.storageKey);
+        this.choice = saved === 'reduce' || saved === 'full' ? saved : null;
+
+        // An explicit choice wins; otherwise follow the OS setting as it changes
+        const handleChange = () => this.apply();
+        if (this.query.addEventListener) {
+            this.query.addEventListener('change', handleChange);
+        } else if (this.query.addListener) {
+            this.query.addListener(handleChange);
+        }
+
+        this.apply();
+    },
+
+    systemReduced() {
+        return Boolean(this.query && this.query.matches);
+    },
+
+    reduced() {
+        return this.choice ? this.choice === 'reduce' : this.systemReduced();
+    },
+
+    // Choosing what the OS already asks for goes back to following the OS
+    set(reduced) {
+        this.choice = reduced === this.systemReduced() ? null : (reduced ? 'reduce' : 'full');
+        utils.storage.set(this.storageKey, this.choice || '');
+        this.apply();
+    },
+
+    apply() {
+        const reduced = this.reduced();
+        document.documentElement.classList.toggle('reduce-motion', reduced);
+
+        if (reduced === this.current) return;
+        const initial = this.current === null;
+        this.current = reduced;
+        if (!initial) {
+            document.dispatchEvent(new CustomEvent('giga:motionchange', { detail: { reduced } }));
+        }
+    }
+};
+
+// Theme: light, dark or high-contrast. Follows prefers-contrast and prefers-color-scheme unless
+// the visitor picks one in the header. Sets <html data-theme> and fires giga:themechange with { theme }.
+const theme = {
+    storageKey: 'giga-theme',
+    themes: ['light', 'dark', 'high-contrast'],
+    queries: [],
+    choice: null,
+    current: null,
+
+    init() {
+        const saved = utils.storage.get(this.storageKey);
+        this.choice = this.themes.includes(saved) ? saved : null;
+
+        this.queries = ['(prefers-contrast: more)', '(prefers-color-scheme: dark)'].map(query => window.matchMedia(query));
+        const handleChange = () => this.apply();
+        this.queries.forEach(query => {
+            if (query.addEventListener) {
+                query.addEventListener('change', handleChange);
+            } else if (query.addListener) {
+                query.addListener(handleChange);
+            }
+        });
+
+        this.apply();
+    },
+
+    // More contrast wins over dark: the high-contrast theme is the readable one either way
+    system() {
+        const [contrast, dark] = this.queries;
+        if (contrast && contrast.matches) return 'high-contrast';
+        if (dark && dark.matches) return 'dark';
+        return 'light';
+    },
+
+    resolved() {
+        return this.choice || this.system();
+    },
+
+    // null goes back to following the OS
+    set(name) {
+        this.choice = this.themes.includes(name) ? name : null;
+        utils.storage.set(this.storageKey, this.choice || '');
+        this.apply();
+    },
+
+    apply() {
+        const name = this.resolved();
+        const root = document.documentElement;
+        root.setAttribute('data-theme', name);
+
+        // Browser UI follows the header colour of the theme
+        const meta = document.querySelector('meta[name="theme-color"]');
+        const headerColor = getComputedStyle(root).getPropertyValue('--color-header-bg').trim();
+        if (meta && headerColor) {
+            meta.setAttribute('content', headerColor);
+        }
+
+        if (name === this.current) return;
+        const initial = this.current === null;
+        this.current = name;
+        if (!initial) {
+            document.dispatchEvent(new CustomEvent('giga:themechange', { detail: { theme: name } }));
+        }
     }
 };
 
-// Mobile Navigation Handler
-class MobileNavigation {
-    constructor() {
-        this.toggle = document.querySelector('.mobile-menu-toggle');
-        this.nav = document.querySelector('.mobile-nav');
-        this.links = document.querySelectorAll('.mobile-nav-link');
-        this.isOpen = false;
-        
-        this.init();
+// Analytics: cookieless interaction events for in-page listeners and the active adapter.
+// Events carry no user or session identifiers; nothing leaves the page without analytics consent.
+const analytics = {
+    handlers: new Map(),
+    adapter: null,
+    endpoint: '',
+    configured: 'noop',
+    batchSize: 10,
+
+    // adapter.send(event) for every event, adapter.flush() when the page is hidden
+    adapters: {
+        noop: {
+            send() {},
+            flush() {}
+        },
+
+        console: {
+            send(event) {
+                console.log('[analytics]', event.name, event.detail);
+            },
+            flush() {}
+        },
+
+        beacon: {
+            queue: [],
+
+            send(event) {
+                this.queue.push(event);
+                if (this.queue.length >= analytics.batchSize) this.flush();
+            },
+
+            flush() {
+                if (!this.queue.length || !analytics.endpoint) return;
+                utils.beacon(analytics.endpoint, JSON.stringify({ events: this.queue.splice(0) }));
+            }
+        }
+    },
+
+    init() {
+        const root = document.documentElement;
+        this.endpoint = root.dataset.analyticsEndpoint || '';
+        this.configured = new URLSearchParams(window.location.search).get('analytics') === 'debug'
+            ? 'console'
+            : root.dataset.analyticsAdapter || (this.endpoint ? 'beacon' : 'noop');
+        this.selectAdapter();
+
+        document.addEventListener('giga:consentchange', () => this.selectAdapter());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.adapter.flush();
+        });
+        window.addEventListener('pagehide', () => this.adapter.flush());
+    },
+
+    registerAdapter(name, adapter) {
+        this.adapters[name] = adapter;
+        if (name === this.configured) this.selectAdapter();
+    },
+
+    selectAdapter() {
+        const next = consent.has('analytics') ? this.adapters[this.configured] || this.adapters.noop : this.adapters.noop;
+
+        // Events queued under consent that has since been withdrawn are dropped, not sent
+        if (this.adapter && this.adapter !== next && this.adapter.queue) this.adapter.queue.length = 0;
+        this.adapter = next;
+    },
+
+    // '*' receives every event; returns a function that removes the handler
+    on(name, handler) {
+        if (!this.handlers.has(name)) this.handlers.set(name, new Set());
+        this.handlers.get(name).add(handler);
+        return () => this.off(name, handler);
+    },
+
+    off(name, handler) {
+        this.handlers.get(name)?.delete(handler);
+    },
+
+    emit(name, detail = {}) {
+        const event = {
+            name,
+            detail,
+            page: window.location.pathname + window.location.hash,
+            locale: i18n.locale,
+            time: Math.round(performance.now())
+        };
+
+        [...(this.handlers.get(name) || []), ...(this.handlers.get('*') || [])].forEach(handler => {
+            try {
+                handler(event);
+            } catch (error) {
+                console.error(`Analytics handler for "${name}" failed:`, error);
+            }
+        });
+
+        this.adapter?.send(event);
+    }
+};
+
+// Router: section anchors, back/forward and "#/..." detail routes
+const router = {
+    routes: [],
+    currentHash: null,
+    currentRoute: null,
+    base: null,
+
+    // pattern like '/country/:slug'; handler.enter(params) resolves to { title, description } or null.
+    // Returns a function that removes the route again.
+    register(pattern, handler) {
+        const keys = [];
+        const regex = new RegExp('^' + pattern.replace(/:(\w+)/g, (match, key) => {
+            keys.push(key);
+            return '([^/]+)';
+        }) + '/?$');
+        const route = { regex, keys, handler };
+        this.routes.push(route);
+
+        return () => {
+            this.routes = this.routes.filter(candidate => candidate !== route);
+        };
+    },
+
+    start() {
+        this.captureBase();
+
+        window.addEventListener('popstate', () => this.resolve());
+        window.addEventListener('hashchange', () => this.resolve());
+
+        // translatePage() just reset <title> and the description, so re-apply on top
+        document.addEventListener('giga:localechange', () => {
+            this.captureBase();
+            this.applyMeta(this.currentMeta);
+        });
+
+        this.resolve({ smooth: false });
+    },
+
+    captureBase() {
+        const description = document.querySelector('meta[name="description"]');
+        this.base = {
+            title: document.title,
+            description: description ? description.content : ''
+        };
+    },
+
+    isRoute(hash) {
+        return hash.startsWith('#/');
+    },
+
+    // Returns false when there is nothing to navigate to, so links can fall back to the browser
+    go(hash, { replace = false } = {}) {
+        if (!this.isRoute(hash) && !this.findSection(hash)) return false;
+
+        if (hash !== window.location.hash) {
+            history[replace ? 'replaceState' : 'pushState'](null, '', hash);
+        }
+        this.currentHash = null;
+        this.resolve();
+        return true;
+    },
+
+    // Mirrors the section in view in the URL and title without scrolling; '' is the top of the page.
+    // Leaves "#/..." detail routes alone.
+    replaceSection(hash) {
+        if (this.isRoute(window.location.hash) || hash === window.location.hash) return;
+
+        history.replaceState(history.state, '', hash || window.location.pathname + window.location.search);
+        this.currentHash = window.location.hash;
+
+        const section = hash && this.findSection(hash);
+        this.applyMeta(section ? this.sectionMeta(section) : null);
+    },
+
+    findSection(hash) {
+        const id = decodeURIComponent(hash.slice(1));
+        return id ? document.getElementById(id) : null;
+    },
+
+    async resolve({ smooth = true } = {}) {
+        const hash = window.location.hash;
+        if (hash === this.currentHash) return;
+        this.currentHash = hash;
+
+        const path = this.isRoute(hash) ? decodeURIComponent(hash.slice(1)) : null;
+        const match = path && this.routes
+            .map(route => ({ route, values: path.match(route.regex) }))
+            .find(candidate => candidate.values);
+
+        if (this.currentRoute && (!match || match.route !== this.currentRoute)) {
+            this.currentRoute.handler.leave?.();
+            this.currentRoute = null;
+        }
+
+        let meta = null;
+        if (match) {
+            const params = Object.fromEntries(match.route.keys.map((key, index) => [key, match.values[index + 1]]));
+            this.currentRoute = match.route;
+            meta = await match.route.handler.enter(params);
+            if (hash !== this.currentHash) return;
+        } else if (hash && !path) {
+            const section = this.findSection(hash);
+            if (section) {
+                if (smooth) {
+                    utils.smoothScrollTo(section, utils.getHeaderHeight() + 20);
+                } else {
+                    window.scrollTo(0, section.getBoundingClientRect().top + window.pageYOffset - utils.getHeaderHeight() - 20);
+                }
+                meta = this.sectionMeta(section);
+            }
+        } else if (path) {
+            console.warn(`No route matches "${path}"`);
+        }
+
+        this.applyMeta(meta);
+    },
+
+    sectionMeta(section) {
+        if (section.id === 'hero') return null;
+
+        const title = section.querySelector('.section-title');
+        const subtitle = section.querySelector('.section-subtitle');
+        return title ? { title: title.textContent.trim(), description: subtitle ? subtitle.textContent.trim() : '' } : null;
+    },
+
+    applyMeta(meta) {
+        this.currentMeta = meta;
+        if (!this.base) return;
+
+        document.title = meta && meta.title ? `${meta.title} | ${this.base.title}` : this.base.title;
+
+        const description = document.querySelector('meta[name="description"]');
+        if (description) {
+            description.content = (meta && meta.description) || this.base.description;
+        }
+    }
+};
+
+// Validation: rules from HTML attributes and data-validate-*, plus registered validators
+const validation = {
+    validators: new Map(),
+
+    // fn(value, field, form) returns true when valid, false (use the default message) or a message.
+    // Without `applies`, a validator runs on fields that name it: data-validate="name other".
+    register(name, fn, { message = `validation.${name}`, applies = null } = {}) {
+        this.validators.set(name, { fn, message, applies });
+    },
+
+    // Checkbox groups are validated as one unit through their container
+    isGroup(element) {
+        return 'validateMinChecked' in element.dataset;
+    },
+
+    value(field) {
+        if (this.isGroup(field)) return field.querySelectorAll('input:checked').length;
+        if (field.type === 'checkbox' || field.type === 'radio') return field.checked;
+        return field.value.trim();
+    },
+
+    isEmpty(field) {
+        const value = this.value(field);
+        return value === '' || value === false || value === 0;
+    },
+
+    // Returns the first failing message for the field, or null
+    validate(field, form) {
+        const named = (field.dataset.validate || '').split(/\s+/).filter(Boolean);
+        const value = this.value(field);
+
+        for (const [name, validator] of this.validators) {
+            const runs = validator.applies ? validator.applies(field) : named.includes(name);
+            if (!runs) continue;
+
+            const result = validator.fn(value, field, form);
+            if (result === true) continue;
+
+            return this.message(field, name, validator, result);
+        }
+
+        return null;
+    },
+
+    // data-validate-message-<rule> may hold a catalog key or literal text
+    message(field, name, validator, result) {
+        const override = field.dataset[`validateMessage${name.charAt(0).toUpperCase()}${name.slice(1)}`];
+        if (override) return i18n.t(override);
+        if (typeof result === 'string') return result;
+        return typeof validator.message === 'function' ? validator.message(field) : i18n.t(validator.message);
+    },
+
+    label(field, form) {
+        if (this.isGroup(field)) {
+            const legend = field.querySelector('legend');
+            return legend ? legend.textContent.trim() : '';
+        }
+        const label = field.id && form.querySelector(`label[for="${field.id}"]`);
+        return label ? label.textContent.trim() : (field.getAttribute('aria-label') || field.name);
+    }
+};
+
+// Built-in rules, in the order messages should win
+validation.register('required', (value) => value !== '' && value !== false, {
+    message: 'form.required',
+    applies: field => field.required && !validation.isGroup(field)
+});
+
+validation.register('minChecked', (value, field) => value >= Number(field.dataset.validateMinChecked), {
+    message: field => i18n.plural('validation.minChecked', Number(field.dataset.validateMinChecked)),
+    applies: field => validation.isGroup(field)
+});
+
+validation.register('email', (value) => value === '' || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value), {
+    applies: field => field.type === 'email'
+});
+
+validation.register('url', (value) => {
+    if (value === '') return true;
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+}, {
+    applies: field => field.type === 'url'
+});
+
+validation.register('number', (value) => value === '' || !isNaN(Number(value)), {
+    applies: field => field.type === 'number'
+});
+
+validation.register('min', (value, field) => value === '' || Number(value) >= Number(field.min), {
+    message: field => i18n.t('validation.min', { min: i18n.formatNumber(Number(field.min)) }),
+    applies: field => field.type === 'number' && field.min !== ''
+});
+
+validation.register('max', (value, field) => value === '' || Number(value) <= Number(field.max), {
+    message: field => i18n.t('validation.max', { max: i18n.formatNumber(Number(field.max)) }),
+    applies: field => field.type === 'number' && field.max !== ''
+});
+
+validation.register('minLength', (value, field) => value === '' || value.length >= field.minLength, {
+    message: field => i18n.plural('validation.minLength', field.minLength),
+    applies: field => field.hasAttribute('minlength')
+});
+
+validation.register('maxLength', (value, field) => value.length <= field.maxLength, {
+    message: field => i18n.plural('validation.maxLength', field.maxLength),
+    applies: field => field.hasAttribute('maxlength')
+});
+
+validation.register('pattern', (value, field) => value === '' || new RegExp(`^(?:${field.getAttribute('pattern')})$`, 'u').test(value), {
+    applies: field => field.hasAttribute('pattern')
+});
+
+// data-validate-match="email": must equal another field in the same form
+validation.register('match', (value, field, form) => {
+    const other = form.elements[field.dataset.validateMatch];
+    return !other || value === other.value.trim();
+}, {
+    message: field => {
+        const other = field.form && field.form.elements[field.dataset.validateMatch];
+        return i18n.t('validation.match', { label: other ? validation.label(other, field.form) : field.dataset.validateMatch });
+    },
+    applies: field => Boolean(field.dataset.validateMatch)
+});
+
+// Focus scopes: regions that keep keyboard focus while open (dialogs, the mobile menu).
+// Scopes stack; only the top one traps Tab, and everything outside it is inert. Deactivating
+// a scope hands the trap back to the one below and returns focus to where it was before.
+const focusScope = {
+    stack: [],
+    inerted: [],
+    selector: 'a[href], area[href], button, input, select, textarea, iframe, summary, [contenteditable="true"], [tabindex]',
+    // Live regions stay out of it so announcements made while a scope is open are still read
+    skipInert: 'script, style, template, [aria-live], [role="status"], [role="alert"]',
+
+    // containers: an element or a list of them (e.g. a menu and its toggle), trapped as one region
+    // options: { initialFocus: element, returnFocus: true, inert: true }
+    activate(containers, options = {}) {
+        const scope = {
+            containers: [].concat(containers).filter(Boolean),
+            options: { returnFocus: true, inert: true, ...options },
+            opener: document.activeElement,
+            deactivate: (deactivateOptions) => this.deactivate(scope, deactivateOptions)
+        };
+        if (!scope.containers.length) return scope;
+
+        if (!this.stack.length) {
+            document.addEventListener('keydown', this.handleKeydown, true);
+        }
+        this.stack.push(scope);
+        this.applyInert();
+
+        const initial = scope.options.initialFocus || this.focusable(scope)[0] || scope.containers[0];
+        if (initial && !scope.containers[0].contains(document.activeElement)) {
+            if (initial === scope.containers[0] && !initial.hasAttribute('tabindex')) initial.setAttribute('tabindex', '-1');
+            initial.focus();
+        }
+
+        return scope;
+    },
+
+    deactivate(scope, options = {}) {
+        const index = this.stack.indexOf(scope);
+        if (index === -1) return;
+
+        this.stack.splice(index, 1);
+        if (!this.stack.length) {
+            document.removeEventListener('keydown', this.handleKeydown, true);
+        }
+        this.applyInert();
+
+        // Only pull focus back when it was left inside the scope (or dropped to <body>)
+        const { returnFocus } = { ...scope.options, ...options };
+        const active = document.activeElement;
+        const focusWasInside = !active || active === document.body || this.contains(scope, active);
+        if (returnFocus && focusWasInside && scope.opener && scope.opener !== document.body && document.contains(scope.opener)) {
+            scope.opener.focus();
+        }
+    },
+
+    top() {
+        return this.stack[this.stack.length - 1] || null;
+    },
+
+    contains(scope, element) {
+        return scope.containers.some(container => container.contains(element));
+    },
+
+    // Tabbable elements across the scope's containers, in document order
+    focusable(scope) {
+        return scope.containers
+            .flatMap(container => [container, ...container.querySelectorAll(this.selector)])
+            .filter(element => element.matches(this.selector) && element.tabIndex >= 0 && !element.disabled
+                && !element.closest('[hidden], [inert], [aria-hidden="true"]'))
+            .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+    },
+
+    // Siblings along each container's path up to <body> go inert, so nested containers work
+    // (the mobile menu lives inside the header). Recomputed for the top scope on every change.
+    applyInert() {
+        this.inerted.forEach(element => {
+            element.inert = false;
+            element.removeAttribute('inert');
+        });
+        this.inerted = [];
+
+        const scope = this.top();
+        if (!scope || !scope.options.inert) return;
+
+        const keep = element => scope.containers.some(container => element.contains(container));
+        scope.containers.forEach(container => {
+            for (let node = container; node && node !== document.body && node.parentElement; node = node.parentElement) {
+                [...node.parentElement.children].forEach(sibling => {
+                    if (sibling.inert || keep(sibling) || sibling.matches(this.skipInert)) return;
+                    sibling.inert = true;
+                    sibling.setAttribute('inert', '');
+                    this.inerted.push(sibling);
+                });
+            }
+        });
+    },
+
+    handleKeydown(e) {
+        const scope = focusScope.top();
+        if (e.key !== 'Tab' || !scope) return;
+
+        const focusable = focusScope.focusable(scope);
+        if (!focusable.length) {
+            e.preventDefault();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+
+        if (!focusScope.contains(scope, active)) {
+            e.preventDefault();
+            (e.shiftKey ? last : first).focus();
+        } else if (e.shiftKey && active === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && active === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+};
+
+// QR codes for print, where a link has to survive being on paper. The encoding is
+// qrcode-generator (vendor/qrcode-generator.js, loaded before this file); this only draws it.
+// svg(text) returns the markup for an <svg>; it throws when the library is missing or the text
+// is too long for a QR code.
+const qrCode = {
+    svg(text, { margin = 4 } = {}) {
+        const modules = this.encode(text);
+        const size = modules.length + margin * 2;
+        let path = '';
+        modules.forEach((row, y) => row.forEach((dark, x) => {
+            if (dark) path += `M${x + margin} ${y + margin}h1v1h-1z`;
+        }));
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges"><rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+    },
+
+    // Returns the module matrix, modules[y][x] === true for dark. Error correction level M,
+    // smallest version that fits, byte mode over UTF-8.
+    encode(text) {
+        if (typeof window.qrcode !== 'function') throw new Error('QR code library not loaded');
+
+        const code = window.qrcode(0, 'M');
+        // The library maps each character to one byte, so hand it the UTF-8 bytes as characters
+        code.addData(String.fromCharCode(...new TextEncoder().encode(text)), 'Byte');
+        try {
+            code.make();
+        } catch (error) {
+            throw new RangeError(`Too long for a QR code: ${text.length} characters`);
+        }
+
+        const size = code.getModuleCount();
+        return Array.from({ length: size }, (_, y) => Array.from({ length: size }, (_, x) => code.isDark(y, x)));
+    }
+};
+
+// Charts: dependency-free SVG sparklines and line/bar charts. Values are plain numbers; the caller
+// passes the formatting (format for axis labels, formatFull for tooltips) and translated strings.
+const charts = {
+    namespace: 'http://www.w3.org/2000/svg',
+
+    svg(tag, attributes = {}) {
+        const element = document.createElementNS(this.namespace, tag);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        return element;
+    },
+
+    // Round axis maximum and evenly spaced ticks from 0
+    ticks(max, count = 4) {
+        if (max <= 0) return [0, 1];
+        const rough = max / count;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+        const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rough);
+        const ticks = [];
+        for (let value = 0; value <= max + step / 2; value += step) ticks.push(value);
+        if (ticks[ticks.length - 1] < max) ticks.push(ticks[ticks.length - 1] + step);
+        return ticks;
+    },
+
+    // values: numbers in order; decorative unless a label is given
+    sparkline(values, { width = 120, height = 32, label = '' } = {}) {
+        const svg = this.svg('svg', { class: 'chart-sparkline', viewBox: `0 0 ${width} ${height}`, width, height, focusable: 'false' });
+        if (label) {
+            svg.setAttribute('role', 'img');
+            svg.setAttribute('aria-label', label);
+        } else {
+            svg.setAttribute('aria-hidden', 'true');
+        }
+        if (values.length < 2) return svg;
+
+        const max = Math.max(...values);
+        const min = Math.min(...values);
+        const inset = 3;
+        const x = index => inset + index * (width - inset * 2) / (values.length - 1);
+        const y = value => height - inset - (max === min ? 0.5 : (value - min) / (max - min)) * (height - inset * 2);
+        const path = values.map((value, index) => `${index ? 'L' : 'M'}${x(index).toFixed(1)} ${y(value).toFixed(1)}`).join(' ');
+
+        svg.append(
+            this.svg('path', { class: 'chart-line', d: path, pathLength: 1 }),
+            this.svg('circle', { class: 'chart-point', cx: x(values.length - 1), cy: y(values[values.length - 1]), r: 3 })
+        );
+        return svg;
+    },
+
+    // options: { type: 'line' | 'bar', points: [{ label, value }], target: { label, value } | null,
+    //   label, caption, headers: [x, y], targetLegend, actualLegend,
+    //   pointLabel(point, isTarget), format(value), formatFull(value) }
+    // The chart is one tab stop; arrow keys, Home and End move between points.
+    detail(options) {
+        const { type, points, target, format, formatFull } = options;
+        const width = 640;
+        const height = 300;
+        const margin = { top: 16, right: 16, bottom: 40, left: 64 };
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+
+        const all = target ? [...points, target] : [...points];
+        const ticks = this.ticks(Math.max(...all.map(point => point.value)));
+        const max = ticks[ticks.length - 1];
+        const band = plotWidth / all.length;
+        const x = index => margin.left + band * (index + 0.5);
+        const y = value => margin.top + plotHeight * (1 - value / max);
+
+        const figure = document.createElement('figure');
+        figure.className = `chart chart-${type}`;
+
+        const svg = this.svg('svg', { class: 'chart-svg', viewBox: `0 0 ${width} ${height}`, role: 'group', 'aria-label': options.label });
+        const grid = this.svg('g', { class: 'chart-grid', 'aria-hidden': 'true' });
+        ticks.forEach(tick => {
+            grid.appendChild(this.svg('line', { x1: margin.left, x2: width - margin.right, y1: y(tick), y2: y(tick) }));
+            const text = this.svg('text', { x: margin.left - 8, y: y(tick), 'text-anchor': 'end', 'dominant-baseline': 'middle' });
+            text.textContent = format(tick);
+            grid.appendChild(text);
+        });
+        all.forEach((point, index) => {
+            const text = this.svg('text', { x: x(index), y: height - margin.bottom + 24, 'text-anchor': 'middle', class: point === target ? 'is-target' : '' });
+            text.textContent = point.label;
+            grid.appendChild(text);
+        });
+        svg.appendChild(grid);
+
+        const marks = this.svg('g', { class: 'chart-marks' });
+        if (type === 'bar') {
+            const barWidth = Math.min(band * 0.6, 56);
+            all.forEach((point, index) => {
+                marks.appendChild(this.svg('rect', {
+                    class: `chart-bar chart-point${point === target ? ' is-target' : ''}`,
+                    x: x(index) - barWidth / 2,
+                    y: y(point.value),
+                    width: barWidth,
+                    height: Math.max(y(0) - y(point.value), 1)
+                }));
+            });
+        } else {
+            const path = points.map((point, index) => `${index ? 'L' : 'M'}${x(index).toFixed(1)} ${y(point.value).toFixed(1)}`).join(' ');
+            marks.appendChild(this.svg('path', { class: 'chart-line', d: path, pathLength: 1, 'aria-hidden': 'true' }));
+            if (target && points.length) {
+                const last = points.length - 1;
+                marks.appendChild(this.svg('path', {
+                    class: 'chart-projection',
+                    d: `M${x(last).toFixed(1)} ${y(points[last].value).toFixed(1)} L${x(all.length - 1).toFixed(1)} ${y(target.value).toFixed(1)}`,
+                    'aria-hidden': 'true'
+                }));
+            }
+            all.forEach((point, index) => {
+                marks.appendChild(this.svg('circle', {
+                    class: `chart-point${point === target ? ' is-target' : ''}`,
+                    cx: x(index),
+                    cy: y(point.value),
+                    r: 6
+                }));
+            });
+        }
+        svg.appendChild(marks);
+
+        const tooltip = document.createElement('div');
+        tooltip.className = 'chart-tooltip';
+        tooltip.setAttribute('aria-hidden', 'true');
+        tooltip.hidden = true;
+
+        const elements = [...marks.querySelectorAll('.chart-point')];
+        const show = index => {
+            const point = all[index];
+            tooltip.textContent = options.pointLabel(point, point === target);
+            tooltip.style.left = `${x(index) / width * 100}%`;
+            tooltip.style.top = `${y(point.value) / height * 100}%`;
+            tooltip.hidden = false;
+        };
+        const hide = () => {
+            tooltip.hidden = true;
+        };
+
+        elements.forEach((element, index) => {
+            element.setAttribute('tabindex', index === elements.length - 1 ? '0' : '-1');
+            element.setAttribute('role', 'img');
+            element.setAttribute('aria-label', options.pointLabel(all[index], all[index] === target));
+            element.addEventListener('focus', () => show(index));
+            element.addEventListener('blur', hide);
+            element.addEventListener('mouseenter', () => show(index));
+            element.addEventListener('mouseleave', () => {
+                if (document.activeElement !== element) hide();
+            });
+        });
+
+        // Roving tabindex across the points
+        svg.addEventListener('keydown', (e) => {
+            const current = elements.indexOf(e.target);
+            if (current === -1) return;
+
+            const next = {
+                ArrowRight: current + 1,
+                ArrowDown: current + 1,
+                ArrowLeft: current - 1,
+                ArrowUp: current - 1,
+                Home: 0,
+                End: elements.length - 1
+            }[e.key];
+
+            if (e.key === 'Escape') {
+                hide();
+                return;
+            }
+            if (next === undefined) return;
+
+            e.preventDefault();
+            const index = Math.max(0, Math.min(elements.length - 1, next));
+            elements.forEach((element, candidate) => element.setAttribute('tabindex', candidate === index ? '0' : '-1'));
+            elements[index].focus();
+        });
+
+        const legend = document.createElement('p');
+        legend.className = 'chart-legend';
+        legend.setAttribute('aria-hidden', 'true');
+        legend.innerHTML = '<span class="chart-key"></span><span class="chart-key-text"></span><span class="chart-key is-target"></span><span class="chart-key-text"></span>';
+        const [actualText, targetText] = legend.querySelectorAll('.chart-key-text');
+        actualText.textContent = options.actualLegend;
+        targetText.textContent = target ? options.targetLegend : '';
+        if (!target) legend.querySelector('.chart-key.is-target').remove();
+
+        const plot = document.createElement('div');
+        plot.className = 'chart-plot';
+        plot.append(svg, tooltip);
+        figure.append(plot, legend, this.table(options, all));
+        return figure;
+    },
+
+    // The same numbers for screen reader table navigation
+    table(options, all) {
+        const table = document.createElement('table');
+        table.className = 'visually-hidden';
+        table.innerHTML = '<caption></caption><thead><tr><th scope="col"></th><th scope="col"></th></tr></thead><tbody></tbody>';
+        table.querySelector('caption').textContent = options.caption;
+        table.querySelectorAll('thead th').forEach((cell, index) => {
+            cell.textContent = options.headers[index];
+        });
+
+        all.forEach(point => {
+            const row = document.createElement('tr');
+            const header = document.createElement('th');
+            const cell = document.createElement('td');
+            header.scope = 'row';
+            header.textContent = point === options.target ? options.targetLegend : point.label;
+            cell.textContent = options.formatFull(point.value);
+            row.append(header, cell);
+            table.tBodies[0].appendChild(row);
+        });
+        return table;
+    }
+};
+
+// Component base: the constructor only sets up state, init() finds its elements and binds to them,
+// destroy() undoes init(), and refresh() picks up markup added since (destroy + init unless overridden)
+class Component {
+    constructor(options = {}) {
+        this.options = options;
+        this.controller = new AbortController();
+        this.cleanups = [];
+    }
+
+    init() {}
+
+    destroy() {
+        this.controller.abort();
+        this.controller = new AbortController();
+        this.cleanups.splice(0).reverse().forEach(cleanup => cleanup());
+    }
+
+    refresh() {
+        this.destroy();
+        this.init();
+    }
+
+    // Aborted by destroy(); pass it to fetch() so late responses are dropped. destroy() also swaps
+    // in a fresh controller, so async work reads this once at the start and checks that copy.
+    get signal() {
+        return this.controller.signal;
+    }
+
+    // addEventListener that destroy() removes again
+    listen(target, type, handler, options = {}) {
+        target.addEventListener(type, handler, { ...options, signal: this.signal });
+    }
+
+    onDestroy(cleanup) {
+        this.cleanups.push(cleanup);
+    }
+}
+
+// Lockscreen intro: swipe up (any pointer), press Enter/Space/ArrowUp or use the button
+class Lockscreen extends Component {
+    static STORAGE_KEY = 'giga-lockscreen-unlocked';
+
+    // A slow drag unlocks past this many pixels...
+    static UNLOCK_DISTANCE = 200;
+
+    // ...a flick needs less distance but at least this speed (px/ms)
+    static FLICK_DISTANCE = 40;
+    static FLICK_VELOCITY = 0.5;
+
+    constructor(options) {
+        super(options);
+        this.drag = null;
+        this.locked = false;
+        this.scope = null;
+    }
+
+    // The inline script in <head> makes the same check so a skipped lockscreen never paints
+    static shouldSkip() {
+        let remembered = false;
+        try {
+            remembered = window.sessionStorage.getItem(Lockscreen.STORAGE_KEY) === '1';
+        } catch (error) {
+            // Storage blocked: show it once per page load
+        }
+        return remembered || motion.reduced();
+    }
+
+    init() {
+        this.element = document.getElementById('lockscreen');
+        if (!this.element || this.element.hidden) return;
+
+        this.wallpaper = this.element.querySelector('#wallpaper');
+        this.button = this.element.querySelector('[data-lockscreen-enter]');
+
+        if (Lockscreen.shouldSkip()) {
+            this.element.hidden = true;
+            return;
+        }
+
+        this.locked = true;
+        document.body.classList.add('locked');
+        this.scope = focusScope.activate(this.element, { initialFocus: this.button, returnFocus: false });
+
+        this.listen(this.element, 'pointerdown', (e) => this.handlePointerDown(e));
+        this.listen(this.element, 'pointermove', (e) => this.handlePointerMove(e));
+        this.listen(this.element, 'pointerup', (e) => this.handlePointerUp(e));
+        this.listen(this.element, 'pointercancel', () => this.snapBack());
+        this.listen(this.element, 'keydown', (e) => this.handleKeydown(e));
+        if (this.button) this.listen(this.button, 'click', () => this.unlock());
+
+        // Reduced motion skips the intro, even when switched on while it's showing
+        this.listen(document, 'giga:motionchange', (e) => {
+            if (e.detail.reduced) this.unlock();
+        });
+    }
+
+    // Leaves the page usable rather than stuck behind the overlay
+    destroy() {
+        super.destroy();
+        if (this.locked) this.release();
+    }
+
+    // Once unlocked it stays unlocked
+    refresh() {}
+
+    handlePointerDown(e) {
+        if (!this.locked || e.button > 0 || e.target.closest('button')) return;
+
+        this.drag = { id: e.pointerId, startY: e.clientY, samples: [{ y: e.clientY, time: e.timeStamp }] };
+        if (this.element.setPointerCapture) this.element.setPointerCapture(e.pointerId);
+        this.wallpaper.style.transition = 'none';
+    }
+
+    handlePointerMove(e) {
+        if (!this.drag || e.pointerId !== this.drag.id) return;
+
+        // Velocity only looks at the last 100ms of the gesture
+        this.drag.samples.push({ y: e.clientY, time: e.timeStamp });
+        this.drag.samples = this.drag.samples.filter(sample => e.timeStamp - sample.time <= 100);
+
+        this.setOffset(Math.max(this.drag.startY - e.clientY, 0));
+    }
+
+    handlePointerUp(e) {
+        if (!this.drag || e.pointerId !== this.drag.id) return;
+
+        const distance = this.drag.startY - e.clientY;
+        const first = this.drag.samples[0];
+        const elapsed = e.timeStamp - first.time;
+        const velocity = elapsed > 0 ? (first.y - e.clientY) / elapsed : 0;
+        this.drag = null;
+
+        if (distance > Lockscreen.UNLOCK_DISTANCE || (distance > Lockscreen.FLICK_DISTANCE && velocity > Lockscreen.FLICK_VELOCITY)) {
+            this.unlock();
+        } else {
+            this.snapBack();
+        }
+    }
+
+    handleKeydown(e) {
+        // Enter and Space on the button are already a click
+        if (e.key === 'ArrowUp' || ((e.key === 'Enter' || e.key === ' ') && !e.target.closest('button'))) {
+            e.preventDefault();
+            this.unlock();
+        }
+    }
+
+    setOffset(distance) {
+        this.wallpaper.style.transform = `translateY(${-distance}px)`;
+        this.wallpaper.style.filter = `blur(${Math.min(distance / 25, 20)}px)`;
+        this.wallpaper.style.opacity = Math.max(1 - distance / 400, 0.2);
+    }
+
+    snapBack() {
+        this.drag = null;
+        this.wallpaper.style.transition = '';
+        this.setOffset(0);
+    }
+
+    unlock() {
+        if (!this.locked) return;
+
+        try {
+            window.sessionStorage.setItem(Lockscreen.STORAGE_KEY, '1');
+        } catch (error) {
+            // Will lock again on reload
+        }
+
+        this.element.classList.add('unlocked');
+        this.release();
+        utils.announce(i18n.t('lockscreen.unlocked'));
+
+        // Matches the opacity transition on #lockscreen
+        setTimeout(() => {
+            this.element.hidden = true;
+            document.dispatchEvent(new CustomEvent('giga:unlock'));
+        }, motion.reduced() ? 0 : 600);
+    }
+
+    release() {
+        this.locked = false;
+        document.body.classList.remove('locked');
+        if (this.scope) this.scope.deactivate();
+        this.scope = null;
+
+        // Focus was on the overlay's button; start again from the top of the page
+        if (this.element.contains(document.activeElement)) document.activeElement.blur();
+        if (!this.element.classList.contains('unlocked')) this.element.hidden = true;
+    }
+}
+
+// Mobile Navigation Handler
+class MobileNavigation extends Component {
+    constructor(options) {
+        super(options);
+        this.isOpen = false;
+        this.scope = null;
+    }
+
+    init() {
+        this.toggle = document.querySelector('.mobile-menu-toggle');
+        this.nav = document.querySelector('.mobile-nav');
+        this.links = document.querySelectorAll('.mobile-nav-link');
+
+        if (!this.toggle || !this.nav) return;
+
+        // Toggle button event
+        this.listen(this.toggle, 'click', (e) => {
+            e.preventDefault();
+            this.toggleMenu();
+        });
+
+        // Close menu when clicking links; focus follows the link, not back to the toggle
+        this.links.forEach(link => {
+            this.listen(link, 'click', () => {
+                this.closeMenu({ returnFocus: false });
+            });
+        });
+
+        // Close menu when clicking outside (a dialog opened from the menu handles its own clicks)
+        this.listen(document, 'click', (e) => {
+            if (this.isOpen && this.isTopScope() && !this.nav.contains(e.target) && !this.toggle.contains(e.target)) {
+                this.closeMenu({ returnFocus: false });
+            }
+        });
+
+        // Close menu on escape key; focus goes back to the toggle
+        this.listen(document, 'keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen && this.isTopScope()) {
+                this.closeMenu();
+            }
+        });
+
+        // Handle window resize
+        this.listen(window, 'resize', utils.debounce(() => {
+            if (window.innerWidth > 1024 && this.isOpen) {
+                this.closeMenu();
+            }
+        }, 250));
+    }
+
+    destroy() {
+        if (this.isOpen) this.closeMenu();
+        super.destroy();
+    }
+
+    isTopScope() {
+        return focusScope.top() === this.scope;
+    }
+
+    toggleMenu() {
+        if (this.isOpen) {
+            this.closeMenu();
+        } else {
+            this.openMenu();
+        }
+    }
+
+    openMenu() {
+        this.isOpen = true;
+        this.nav.setAttribute('aria-hidden', 'false');
+        this.toggle.setAttribute('aria-expanded', 'true');
+        this.toggle.classList.add('active');
+
+        // Tab cycles through the menu and its toggle; the rest of the page is inert until it closes
+        this.scope = focusScope.activate([this.nav, this.toggle], {
+            initialFocus: this.nav.querySelector('.mobile-nav-link')
+        });
+        
+        // Prevent body scroll
+        document.body.style.overflow = 'hidden';
+
+        analytics.emit('navigation:open');
+    }
+
+    closeMenu(options = {}) {
+        const wasOpen = this.isOpen;
+        this.isOpen = false;
+        this.nav.setAttribute('aria-hidden', 'true');
+        this.toggle.setAttribute('aria-expanded', 'false');
+        this.toggle.classList.remove('active');
+
+        if (this.scope) this.scope.deactivate(options);
+        this.scope = null;
+        
+        // Restore body scroll
+        document.body.style.overflow = '';
+
+        if (wasOpen) analytics.emit('navigation:close');
+    }
+}
+
+// Smooth Scrolling for Navigation Links
+class SmoothScrolling extends Component {
+    init() {
+        // Delegated so links added later (story links, directory jumps) route too
+        this.listen(document, 'click', (e) => {
+            const link = e.target.closest('a[href^="#"]');
+            if (!link || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey) return;
+
+            const href = link.getAttribute('href');
+
+            // Skip if it's just "#"
+            if (href === '#') return;
+
+            if (router.go(href)) {
+                e.preventDefault();
+                analytics.emit('scroll:navigate', { target: href });
+            }
+        });
+    }
+}
+
+// Scrollspy: marks the section in view in both navs, mirrors it in the URL and shows reading progress
+class Scrollspy extends Component {
+    static SECTIONS = ['hero', 'our-impact', 'our-progress', 'global-footprint', 'giga-voices', 'partners', 'get-involved'];
+
+    constructor(options) {
+        super(options);
+        this.active = null;
+        this.observer = null;
+        this.progress = null;
+        this.frame = null;
+    }
+
+    init() {
+        this.sections = Scrollspy.SECTIONS.map(id => document.getElementById(id)).filter(Boolean);
+        this.links = document.querySelectorAll('.header-nav .nav-link, .mobile-nav-link');
+
+        this.createProgress();
+        this.updateProgress();
+
+        if (this.sections.length && 'IntersectionObserver' in window) {
+            this.observe();
+            this.onDestroy(() => this.observer.disconnect());
+
+            // The trigger line follows the header, whose height changes with the layout
+            this.listen(window, 'resize', utils.debounce(() => this.observe(), 200));
+        }
+
+        // Only once scrolling settles, and never on load, so the URL doesn't churn or gain a hash unasked
+        const writeHash = utils.debounce(() => {
+            if (this.active) router.replaceSection(this.active.id === 'hero' ? '' : `#${this.active.id}`);
+        }, 200);
+
+        this.listen(window, 'scroll', () => {
+            this.scheduleProgress();
+            writeHash();
+        }, { passive: true });
+    }
+
+    destroy() {
+        super.destroy();
+        cancelAnimationFrame(this.frame);
+        this.frame = null;
+        if (this.progress) {
+            this.progress.remove();
+            this.progress = null;
+        }
+        this.setActive(null);
+    }
+
+    // A one-pixel line just below the sticky header, where router scrolls section tops to
+    observe() {
+        if (this.observer) this.observer.disconnect();
+
+        const top = utils.getHeaderHeight() + 24;
+        const bottom = Math.max(window.innerHeight - top - 1, 0);
+
+        this.observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) this.setActive(entry.target);
+            });
+        }, { rootMargin: `-${top}px 0px -${bottom}px 0px` });
+
+        this.sections.forEach(section => this.observer.observe(section));
+    }
+
+    setActive(section) {
+        if (section === this.active) return;
+        this.active = section;
+
+        // A link names the sections it stands for in data-scrollspy-section; otherwise its own target
+        this.links.forEach(link => {
+            const sections = (link.dataset.scrollspySection || link.getAttribute('href').replace(/^#/, '')).split(/\s+/);
+            const current = Boolean(section) && sections.includes(section.id);
+            link.classList.toggle('is-active', current);
+            if (current) {
+                link.setAttribute('aria-current', 'location');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    createProgress() {
+        const header = document.querySelector('.site-header');
+        if (!header) return;
+
+        // Decorative: the page's own scroll position already tells assistive tech where it is
+        this.progress = document.createElement('div');
+        this.progress.className = 'reading-progress';
+        this.progress.setAttribute('aria-hidden', 'true');
+        this.progress.innerHTML = '<span class="reading-progress-bar"></span>';
+        header.appendChild(this.progress);
+    }
+
+    scheduleProgress() {
+        if (this.frame) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.updateProgress();
+        });
+    }
+
+    updateProgress() {
+        if (!this.progress) return;
+
+        const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+        const ratio = scrollable > 0 ? Math.min(Math.max(window.pageYOffset / scrollable, 0), 1) : 0;
+        this.progress.firstChild.style.transform = `scaleX(${ratio})`;
+    }
+}
+
+// Lazy Loading for Images and Videos
+class LazyLoading extends Component {
+    init() {
+        // Media that already loaded is left alone on refresh
+        this.images = document.querySelectorAll('img[loading="lazy"]:not(.loaded)');
+        this.videos = document.querySelectorAll('iframe[loading="lazy"]:not(.loaded)');
+
+        // Use Intersection Observer if available
+        if ('IntersectionObserver' in window) {
+            this.setupIntersectionObserver();
+        } else {
+            // Fallback for older browsers
+            this.loadAllMedia();
+        }
+    }
+
+    setupIntersectionObserver() {
+        const options = {
+            root: null,
+            rootMargin: '50px',
+            threshold: 0.1
+        };
+
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.loadMedia(entry.target);
+                    observer.unobserve(entry.target);
+                }
+            });
+        }, options);
+        this.onDestroy(() => observer.disconnect());
+
+        // Observe all lazy-loaded media
+        [...this.images, ...this.videos].forEach(media => {
+            observer.observe(media);
+        });
+    }
+
+    loadMedia(element) {
+        if (element.tagName === 'IMG') {
+            element.src = element.dataset.src || element.src;
+        } else if (element.tagName === 'IFRAME') {
+            const src = element.dataset.src || element.src;
+
+            if (new URL(src, window.location.href).origin !== window.location.origin && !consent.has('media')) {
+                const placeholder = ConsentManager.createPlaceholder('media', new URL(src).hostname, (node) => {
+                    node.replaceWith(element);
+                    this.loadMedia(element);
+                }, { signal: this.signal });
+                element.replaceWith(placeholder);
+                return;
+            }
+
+            if (new URL(src, window.location.href).origin !== window.location.origin && !navigator.onLine) {
+                element.replaceWith(OfflineStatus.createPlaceholder((node) => {
+                    node.replaceWith(element);
+                    this.loadMedia(element);
+                }, { signal: this.signal }));
+                return;
+            }
+
+            element.src = src;
+        }
+        
+        element.classList.add('loaded');
+    }
+
+    loadAllMedia() {
+        [...this.images, ...this.videos].forEach(media => {
+            this.loadMedia(media);
+        });
+    }
+}
+
+// Click-to-play Facades for YouTube Embeds
+class VideoFacades extends Component {
+    constructor(options) {
+        super(options);
+        this.facades = new Map();
+    }
+
+    // <html data-embed-mode="facade"> forces every embed into facade mode;
+    // otherwise individual iframes can opt in with the same attribute
+    static shouldUseFacade(iframe) {
+        return document.documentElement.dataset.embedMode === 'facade' || iframe.dataset.embedMode === 'facade';
+    }
+
+    static isYouTube(url) {
+        return /^https:\/\/(www\.)?youtube(-nocookie)?\.com\/embed\//.test(url || '');
+    }
+
+    // Always play from the privacy-enhanced domain, which sets no cookies until playback
+    static embedUrl(url, params = {}) {
+        const embed = new URL(url.replace(/^https:\/\/(www\.)?youtube\.com\//, 'https://www.youtube-nocookie.com/'));
+        Object.entries(params).forEach(([key, value]) => embed.searchParams.set(key, value));
+        return embed.toString();
+    }
+
+    init() {
+        this.scan();
+
+        this.listen(document, 'giga:localechange', () => {
+            document.querySelectorAll('.video-facade').forEach(facade => {
+                facade.setAttribute('aria-label', i18n.t('video.play', { title: facade.dataset.title }));
+            });
+        });
+    }
+
+    // Embeds already behind a facade are out of the document, so only new ones match
+    scan() {
+        [...document.querySelectorAll('iframe[data-src]')]
+            .filter(iframe => VideoFacades.isYouTube(iframe.dataset.src) && VideoFacades.shouldUseFacade(iframe))
+            .forEach(iframe => {
+                const facade = this.createFacade(iframe);
+                this.facades.set(facade, iframe);
+                iframe.replaceWith(facade);
+            });
+    }
+
+    refresh() {
+        this.scan();
+    }
+
+    // Facades nobody played go back to the original (still unloaded) iframes
+    destroy() {
+        this.facades.forEach((iframe, facade) => {
+            if (facade.isConnected) facade.replaceWith(iframe);
+        });
+        this.facades.clear();
+        super.destroy();
+    }
+
+    createFacade(iframe) {
+        const title = iframe.getAttribute('title') || '';
+        const facade = document.createElement('button');
+        facade.type = 'button';
+        facade.className = 'video-facade';
+        facade.dataset.title = title;
+        facade.dataset.src = iframe.dataset.src;
+        facade.setAttribute('aria-label', i18n.t('video.play', { title }));
+        facade.innerHTML = `
+            ${iframe.dataset.poster ? `<img class="video-facade-poster" src="${iframe.dataset.poster}" alt="" loading="lazy">` : ''}
+            <span class="video-facade-title" aria-hidden="true"></span>
+            <span class="video-facade-play" aria-hidden="true">
+                <svg width="68" height="48" viewBox="0 0 68 48">
+                    <path class="video-facade-play-bg" d="M66.5 7.7a8.6 8.6 0 0 0-6-6C55.3.3 34 .3 34 .3s-21.3 0-26.5 1.4a8.6 8.6 0 0 0-6 6C.1 12.9.1 24 .1 24s0 11.1 1.4 16.3a8.6 8.6 0 0 0 6 6c5.2 1.4 26.5 1.4 26.5 1.4s21.3 0 26.5-1.4a8.6 8.6 0 0 0 6-6c1.4-5.2 1.4-16.3 1.4-16.3s0-11.1-1.4-16.3z"/>
+                    <path fill="#fff" d="M45 24 27 14v20z"/>
+                </svg>
+            </span>
+        `;
+        facade.querySelector('.video-facade-title').textContent = title;
+
+        facade.addEventListener('click', () => this.play(facade, iframe));
+
+        return facade;
+    }
+
+    play(facade, iframe) {
+        if (!consent.has('media')) {
+            const placeholder = ConsentManager.createPlaceholder('media', 'YouTube', () => this.play(placeholder, iframe), { signal: this.signal });
+            facade.replaceWith(placeholder);
+            placeholder.querySelector('button').focus();
+            return;
+        }
+
+        // The poster is cached; the player itself needs the network
+        if (!navigator.onLine) {
+            facade.replaceWith(OfflineStatus.createPlaceholder((node) => node.replaceWith(facade), { signal: this.signal }));
+            return;
+        }
+
+        const player = document.createElement('iframe');
+        player.src = VideoFacades.embedUrl(iframe.dataset.src, { autoplay: 1 });
+        player.title = iframe.getAttribute('title') || '';
+        player.allow = iframe.getAttribute('allow') || 'autoplay; encrypted-media; picture-in-picture';
+        player.allowFullscreen = true;
+        player.setAttribute('frameborder', '0');
+        player.classList.add('loaded');
+
+        facade.replaceWith(player);
+        player.focus();
+
+        analytics.emit('video:play', { title: player.title, source: 'inline' });
+    }
+}
+
+// Scroll-triggered Animations
+class ScrollAnimations extends Component {
+    init() {
+        this.animatedElements = document.querySelectorAll('.stat-item, .impact-story, .country-story, .voice-item');
+
+        // Switching motion either way starts over: reveals on, or everything shown as is
+        this.listen(document, 'giga:motionchange', () => this.refresh());
+
+        if ('IntersectionObserver' in window && !motion.reduced()) {
+            this.setupIntersectionObserver();
+        }
+    }
+
+    setupIntersectionObserver() {
+        const options = {
+            root: null,
+            rootMargin: '-10%',
+            threshold: 0.1
+        };
+
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    entry.target.classList.add('animate-in');
+                    observer.unobserve(entry.target);
+                }
+            });
+        }, options);
+        this.onDestroy(() => observer.disconnect());
+
+        this.animatedElements.forEach(element => {
+            element.classList.add('animate-ready');
+            observer.observe(element);
+        });
+    }
+
+    // Leaves everything visible; a refresh replays the animations from the top
+    destroy() {
+        super.destroy();
+        (this.animatedElements || []).forEach(element => element.classList.remove('animate-ready', 'animate-in'));
+    }
+}
+
+// Video Modal Handler
+class VideoModal extends Component {
+    constructor(options) {
+        super(options);
+        this.voices = [];
+        this.modal = null;
+        this.playlist = [];
+        this.index = 0;
+        this.scope = null;
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    // Voices are read once, before any facade is swapped for a live player
+    static collectVoices() {
+        return [...document.querySelectorAll('.voice-item')].map(item => {
+            const source = item.querySelector('[data-src]');
+            const name = item.querySelector('.voice-name');
+            const role = item.querySelector('.voice-title');
+
+            return {
+                src: source ? source.dataset.src : '',
+                title: name ? name.textContent.trim() : (source && (source.getAttribute('title') || source.dataset.title)) || '',
+                subtitle: role ? role.textContent.trim() : '',
+                item
+            };
+        }).filter(voice => voice.src);
+    }
+
+    // Accepts a URL, a { src, title } object or a list of either
+    static normalize(list) {
+        return [].concat(list || []).map(entry => (typeof entry === 'string' ? { src: entry, title: '' } : entry)).filter(entry => entry && entry.src);
+    }
+
+    static autoplayUrl(url) {
+        if (VideoFacades.isYouTube(url)) {
+            return VideoFacades.embedUrl(url, { autoplay: 1 });
+        }
+
+        const playUrl = new URL(url, window.location.href);
+        playUrl.searchParams.set('autoplay', '1');
+        return playUrl.toString();
+    }
+
+    init() {
+        this.videoLinks = document.querySelectorAll('[data-video-modal]');
+        this.voices = VideoModal.collectVoices();
+
+        this.videoLinks.forEach(link => {
+            this.listen(link, 'click', (e) => {
+                e.preventDefault();
+                this.openModal(link.getAttribute('data-video-modal'));
+            });
+        });
+
+        this.voices.forEach((voice, index) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'voice-open';
+            button.innerHTML = `
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                    <polyline points="15 3 21 3 21 9"></polyline>
+                    <polyline points="9 21 3 21 3 15"></polyline>
+                    <line x1="21" y1="3" x2="14" y2="10"></line>
+                    <line x1="3" y1="21" x2="10" y2="14"></line>
+                </svg>
+                <span></span>
+            `;
+            button.addEventListener('click', () => this.openModal(this.voices, index));
+
+            const content = voice.item.querySelector('.voice-content') || voice.item;
+            content.appendChild(button);
+            voice.button = button;
+        });
+
+        this.updateLabels();
+        this.listen(document, 'giga:localechange', () => this.updateLabels());
+    }
+
+    destroy() {
+        this.closeModal();
+        this.voices.forEach(voice => voice.button.remove());
+        this.voices = [];
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+        super.destroy();
+    }
+
+    updateLabels() {
+        this.voices.forEach(voice => {
+            voice.button.querySelector('span').textContent = i18n.t('video.openPlayer');
+            voice.button.setAttribute('aria-label', i18n.t('video.openPlayerLabel', { title: voice.title }));
+        });
+
+        if (!this.modal) return;
+
+        this.modal.setAttribute('aria-label', i18n.t('video.dialog'));
+        this.modal.querySelector('.video-modal-close').setAttribute('aria-label', i18n.t('video.close'));
+        this.modal.querySelector('[data-video-step="-1"]').setAttribute('aria-label', i18n.t('video.previous'));
+        this.modal.querySelector('[data-video-step="1"]').setAttribute('aria-label', i18n.t('video.next'));
+        if (this.isOpen()) this.renderPosition();
+    }
+
+    createModal() {
+        const modal = document.createElement('div');
+        modal.className = 'video-modal';
+        modal.hidden = true;
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+        modal.setAttribute('aria-labelledby', 'video-modal-title');
+        modal.innerHTML = `
+            <div class="video-modal-overlay"></div>
+            <div class="video-modal-content">
+                <div class="video-modal-header">
+                    <div class="video-modal-heading">
+                        <h2 class="video-modal-title" id="video-modal-title"></h2>
+                        <p class="video-modal-subtitle"></p>
+                    </div>
+                    <button type="button" class="video-modal-close">
+                        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                            <line x1="18" y1="6" x2="6" y2="18"></line>
+                            <line x1="6" y1="6" x2="18" y2="18"></line>
+                        </svg>
+                    </button>
+                </div>
+                <div class="video-modal-player"></div>
+                <div class="video-modal-controls">
+                    <button type="button" class="video-modal-step" data-video-step="-1">
+                        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                            <polyline points="15 18 9 12 15 6"></polyline>
+                        </svg>
+                    </button>
+                    <p class="video-modal-position" aria-live="polite"></p>
+                    <button type="button" class="video-modal-step" data-video-step="1">
+                        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                            <polyline points="9 18 15 12 9 6"></polyline>
+                        </svg>
+                    </button>
+                </div>
+            </div>
+        `;
+
+        // Bound once; open/close only toggle visibility and the keydown listener
+        modal.querySelector('.video-modal-close').addEventListener('click', () => this.closeModal());
+        modal.querySelector('.video-modal-overlay').addEventListener('click', () => this.closeModal());
+        modal.querySelectorAll('[data-video-step]').forEach(button => {
+            button.addEventListener('click', () => this.step(Number(button.dataset.videoStep)));
+        });
+
+        document.body.appendChild(modal);
+        this.modal = modal;
+        this.updateLabels();
+
+        return modal;
+    }
+
+    isOpen() {
+        return Boolean(this.modal && !this.modal.hidden);
+    }
+
+    openModal(list, startIndex = 0) {
+        const playlist = VideoModal.normalize(list);
+        if (!playlist.length) return;
+
+        if (!this.modal) {
+            this.createModal();
+        }
+
+        this.playlist = playlist;
+
+        if (!this.isOpen()) {
+            this.modal.hidden = false;
+            document.body.style.overflow = 'hidden';
+            this.scope = focusScope.activate(this.modal, { initialFocus: this.modal.querySelector('.video-modal-close') });
+            document.addEventListener('keydown', this.handleKeydown);
+        }
+
+        this.show(Math.min(Math.max(Number(startIndex) || 0, 0), playlist.length - 1));
+    }
+
+    closeModal() {
+        if (!this.isOpen()) return;
+
+        this.modal.hidden = true;
+        this.modal.querySelector('.video-modal-player').innerHTML = '';
+        document.body.style.overflow = '';
+        document.removeEventListener('keydown', this.handleKeydown);
+
+        this.scope.deactivate();
+        this.scope = null;
+    }
+
+    show(index) {
+        this.index = index;
+        const video = this.playlist[index];
+        const player = this.modal.querySelector('.video-modal-player');
+
+        this.modal.querySelector('.video-modal-title').textContent = video.title || '';
+        this.modal.querySelector('.video-modal-subtitle').textContent = video.subtitle || '';
+
+        const iframe = document.createElement('iframe');
+        iframe.src = VideoModal.autoplayUrl(video.src);
+        iframe.title = video.title || i18n.t('video.dialog');
+        iframe.allow = 'accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture';
+        iframe.allowFullscreen = true;
+
+        player.innerHTML = '';
+
+        // Counted once the player is in, not while a placeholder stands in for it
+        const play = (placeholder) => {
+            if (placeholder) {
+                placeholder.replaceWith(iframe);
+            } else {
+                player.appendChild(iframe);
+            }
+            analytics.emit('video:play', { title: video.title || '', source: 'modal', position: index + 1 });
+        };
+
+        if (consent.has('media') && !navigator.onLine) {
+            player.appendChild(OfflineStatus.createPlaceholder(play, { signal: this.signal }));
+        } else if (consent.has('media')) {
+            play();
+        } else {
+            player.appendChild(ConsentManager.createPlaceholder('media', new URL(video.src, window.location.href).hostname, play, { signal: this.signal }));
+        }
+
+        this.renderPosition();
+    }
+
+    renderPosition() {
+        const single = this.playlist.length < 2;
+        this.modal.querySelector('.video-modal-controls').hidden = single;
+        this.modal.querySelector('.video-modal-position').textContent = single ? '' : i18n.t('video.position', {
+            current: i18n.formatNumber(this.index + 1),
+            total: i18n.formatNumber(this.playlist.length)
+        });
+    }
+
+    step(delta) {
+        if (this.playlist.length < 2) return;
+        this.show((this.index + delta + this.playlist.length) % this.playlist.length);
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.closeModal();
+        } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+            // Previous is always the reading-order start, which flips in RTL
+            const forward = (e.key === 'ArrowRight') !== (document.documentElement.dir === 'rtl');
+            e.preventDefault();
+            this.step(forward ? 1 : -1);
+        }
+    }
+}
+
+// Statistics Counter Animation
+class StatsCounter extends Component {
+    constructor(options) {
+        super(options);
+        this.data = null;
+        this.year = null;
+        this.yearSelector = null;
+        this.animations = new Map();
+    }
+
+    static SCHEMA_VERSION = 1;
+
+    init() {
+        this.container = document.querySelector('.progress-stats');
+        this.statNumbers = document.querySelectorAll('.stat-number');
+
+        if ('IntersectionObserver' in window) {
+            this.setupIntersectionObserver();
+        }
+
+        this.listen(document, 'giga:localechange', () => this.handleLocaleChange());
+        this.listen(document, 'giga:motionchange', (e) => {
+            if (e.detail.reduced) this.finishAnimations();
+        });
+        this.loadData();
+    }
+
+    // Running counters jump straight to their final value
+    finishAnimations() {
+        this.animations.forEach((frame, element) => {
+            cancelAnimationFrame(frame);
+            element.textContent = this.formatNumber(this.getValue(element));
+        });
+        this.animations.clear();
+    }
+
+    // Counters keep their last rendered value; ones already counted don't animate again
+    destroy() {
+        super.destroy();
+        this.finishAnimations();
+        if (this.yearSelector) {
+            this.yearSelector.remove();
+            this.yearSelector = null;
+        }
+        this.data = null;
+        this.year = null;
+    }
+
+    setupIntersectionObserver() {
+        const options = {
+            root: null,
+            rootMargin: '0px',
+            threshold: 0.5
+        };
+
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting && !entry.target.classList.contains('counted')) {
+                    this.animateCounter(entry.target, 0, this.getValue(entry.target));
+                    entry.target.classList.add('counted');
+                    analytics.emit('stat:view', { metric: entry.target.closest('[data-metric]')?.dataset.metric || null });
+                }
+            });
+        }, options);
+        this.onDestroy(() => observer.disconnect());
+
+        this.statNumbers.forEach(stat => {
+            observer.observe(stat);
+        });
+    }
+
+    async loadData() {
+        const src = this.container && this.container.dataset.statsSrc;
+        if (!src || !('fetch' in window)) return;
+
+        const signal = this.signal;
+
+        try {
+            const response = await fetch(src, { signal });
+            if (!response.ok) throw new Error(`${src}: HTTP ${response.status}`);
+
+            const data = await response.json();
+            if (signal.aborted) return;
+            if (data.schemaVersion !== StatsCounter.SCHEMA_VERSION) {
+                throw new Error(`${src}: unsupported schema version ${data.schemaVersion}`);
+            }
+
+            this.data = data;
+            this.years = [...new Set(data.metrics.flatMap(metric => Object.keys(metric.values)))]
+                .map(Number)
+                .sort((a, b) => a - b);
+
+            this.renderYearSelector();
+            this.setYear(data.defaultYear || this.years[this.years.length - 1]);
+        } catch (error) {
+            // The markup already carries the latest figures, so keep those
+            if (!signal.aborted) console.warn('Progress stats data unavailable:', error);
+        }
+    }
+
+    renderYearSelector() {
+        if (this.years.length < 2) return;
+
+        const header = document.querySelector('#our-progress .section-header');
+        if (!header) return;
+
+        this.yearSelector = document.createElement('div');
+        this.yearSelector.className = 'year-selector';
+        this.yearSelector.setAttribute('role', 'group');
+        this.yearSelector.setAttribute('aria-label', i18n.t('progress.yearLabel'));
+
+        this.years.forEach(year => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'year-selector-option';
+            button.dataset.year = year;
+            button.textContent = year;
+            button.setAttribute('aria-pressed', 'false');
+            button.addEventListener('click', () => this.setYear(year));
+            this.yearSelector.appendChild(button);
+        });
+
+        header.appendChild(this.yearSelector);
+    }
+
+    setYear(year) {
+        if (!this.data || year === this.year) return;
+
+        this.year = year;
+        this.data.metrics.forEach(metric => this.renderMetric(metric, true));
+
+        if (this.yearSelector) {
+            this.yearSelector.querySelectorAll('.year-selector-option').forEach(button => {
+                button.setAttribute('aria-pressed', String(Number(button.dataset.year) === year));
+            });
+        }
+
+        document.querySelectorAll('[data-report-year]').forEach(element => {
+            element.textContent = year;
+        });
+    }
+
+    renderMetric(metric, animate) {
+        const item = this.container.querySelector(`.stat-item[data-metric="${metric.id}"]`);
+        if (!item) return;
+
+        const element = item.querySelector('.stat-number');
+        const value = metric.values[this.year];
+        if (!element || value === undefined) return;
+
+        const from = this.getValue(element);
+        element.dataset.value = value;
+
+        // Counters that haven't scrolled into view yet animate from zero later
+        if (animate && element.classList.contains('counted')) {
+            this.animateCounter(element, from, value);
+        } else if (!this.animations.has(element)) {
+            element.textContent = this.formatNumber(value);
+        }
+
+        const description = item.querySelector('.stat-description');
+        if (description) {
+            const key = `progress.${metric.id}.${this.year}`;
+            const fallback = metric.descriptions && metric.descriptions[this.year];
+            description.dataset.i18n = key;
+            if (i18n.has(key) || fallback) {
+                description.textContent = i18n.has(key) ? i18n.t(key) : fallback;
+            }
+        }
+
+        const previousYear = this.years.filter(y => y < this.year).pop();
+        this.updateDelta(item, metric.values[previousYear], value, previousYear);
+    }
+
+    handleLocaleChange() {
+        if (this.yearSelector) {
+            this.yearSelector.setAttribute('aria-label', i18n.t('progress.yearLabel'));
+        }
+
+        if (this.data) {
+            this.data.metrics.forEach(metric => this.renderMetric(metric, false));
+            return;
+        }
+
+        this.statNumbers.forEach(element => {
+            if (!this.animations.has(element) && element.dataset.value) {
+                element.textContent = this.formatNumber(this.getValue(element));
+            }
+        });
+    }
+
+    updateDelta(item, previous, current, previousYear) {
+        let delta = item.querySelector('.stat-delta');
+
+        if (previous === undefined || !previous) {
+            if (delta) delta.remove();
+            return;
+        }
+
+        if (!delta) {
+            delta = document.createElement('p');
+            delta.className = 'stat-delta';
+            item.querySelector('.stat-number').after(delta);
+        }
+
+        const change = Math.round((current - previous) / previous * 100);
+        const direction = change > 0 ? 'up' : change < 0 ? 'down' : 'flat';
+
+        delta.className = `stat-delta ${direction}`;
+        delta.textContent = i18n.t('progress.delta', {
+            change: i18n.formatPercentChange(change),
+            year: previousYear
+        });
+    }
+
+    getValue(element) {
+        const value = parseFloat(element.dataset.value);
+        return isNaN(value) ? 0 : value;
+    }
+
+    animateCounter(element, from, to) {
+        if (this.animations.has(element)) {
+            cancelAnimationFrame(this.animations.get(element));
+            this.animations.delete(element);
+        }
+
+        if (motion.reduced()) {
+            element.textContent = this.formatNumber(to);
+            return;
+        }
+
+        const duration = 2000;
+        let startTime = null;
+
+        const step = (timestamp) => {
+            if (!startTime) startTime = timestamp;
+            const progress = Math.min((timestamp - startTime) / duration, 1);
+            const eased = 1 - Math.pow(1 - progress, 3);
+
+            element.textContent = this.formatNumber(from + (to - from) * eased);
+
+            if (progress < 1) {
+                this.animations.set(element, requestAnimationFrame(step));
+            } else {
+                this.animations.delete(element);
+            }
+        };
+
+        this.animations.set(element, requestAnimationFrame(step));
+    }
+
+    formatNumber(num) {
+        return StatsCounter.format(num);
+    }
+
+    static format(num) {
+        return num >= 1000 ? i18n.formatCompact(num) : i18n.formatNumber(Math.floor(num));
+    }
+}
+
+// Trend charts for the progress stats: a sparkline on each card and an expandable line or bar
+// chart of the yearly history and the 2030 target. One series file per metric, from the
+// data-series-src template on .progress-stats ("{metric}" is replaced).
+class TrendCharts extends Component {
+    static SCHEMA_VERSION = 1;
+
+    constructor(options) {
+        super(options);
+        this.charts = [];
+    }
+
+    init() {
+        this.container = document.querySelector('.progress-stats');
+        const template = this.container && this.container.dataset.seriesSrc;
+        if (!template || !('fetch' in window)) return;
+
+        this.container.querySelectorAll('.stat-item[data-metric]').forEach((item, index) => {
+            const chart = { item, metric: item.dataset.metric, series: null };
+
+            chart.sparkline = document.createElement('div');
+            chart.sparkline.className = 'stat-sparkline';
+            item.insertBefore(chart.sparkline, item.querySelector('.stat-title'));
+
+            chart.toggle = document.createElement('button');
+            chart.toggle.type = 'button';
+            chart.toggle.className = 'stat-trend-toggle';
+            chart.toggle.setAttribute('aria-expanded', 'false');
+            chart.toggle.setAttribute('aria-controls', `stat-trend-${index}`);
+            chart.toggle.hidden = true;
+
+            chart.panel = document.createElement('div');
+            chart.panel.className = 'stat-trend';
+            chart.panel.id = `stat-trend-${index}`;
+            chart.panel.hidden = true;
+
+            // Above the share button when that is already there
+            const share = item.querySelector(':scope > .share');
+            item.insertBefore(chart.toggle, share);
+            item.insertBefore(chart.panel, share);
+
+            this.listen(chart.toggle, 'click', () => this.toggle(chart));
+            this.charts.push(chart);
+            this.load(chart, template.replace('{metric}', encodeURIComponent(chart.metric)));
+        });
+
+        this.listen(document, 'giga:localechange', () => this.charts.forEach(chart => this.render(chart)));
+    }
+
+    destroy() {
+        super.destroy();
+        this.charts.forEach(chart => {
+            chart.sparkline.remove();
+            chart.toggle.remove();
+            chart.panel.remove();
+        });
+        this.charts = [];
+    }
+
+    async load(chart, src) {
+        const signal = this.signal;
+
+        try {
+            const response = await fetch(src, { signal });
+            if (!response.ok) throw new Error(`${src}: HTTP ${response.status}`);
+
+            const series = await response.json();
+            if (signal.aborted) return;
+            if (series.schemaVersion !== TrendCharts.SCHEMA_VERSION) {
+                throw new Error(`${src}: unsupported schema version ${series.schemaVersion}`);
+            }
+
+            chart.series = series;
+            this.render(chart);
+        } catch (error) {
+            // The card keeps its number; it just has no trend
+            if (!signal.aborted) console.warn(`Trend data for "${chart.metric}" unavailable:`, error);
+        }
+    }
+
+    toggle(chart) {
+        const expanded = chart.toggle.getAttribute('aria-expanded') !== 'true';
+        chart.toggle.setAttribute('aria-expanded', String(expanded));
+        chart.panel.hidden = !expanded;
+        if (expanded) analytics.emit('chart:open', { metric: chart.metric });
+    }
+
+    // Same formatting as the counters; exact figures in tooltips and the table
+    render(chart) {
+        if (!chart.series) return;
+
+        const { points, target } = chart.series;
+        const title = chart.item.querySelector('.stat-title')?.textContent.trim() || chart.metric;
+        const first = points[0];
+        const last = points[points.length - 1];
+
+        chart.sparkline.replaceChildren(charts.sparkline(points.map(point => point.value), {
+            label: i18n.t('chart.sparkline', {
+                from: first.year,
+                to: last.year,
+                start: StatsCounter.format(first.value),
+                end: StatsCounter.format(last.value)
+            })
+        }));
+
+        chart.toggle.hidden = false;
+        chart.toggle.textContent = i18n.t('chart.toggle', { year: target ? target.year : last.year });
+        chart.toggle.setAttribute('aria-label', i18n.t('chart.toggleLabel', { title, year: target ? target.year : last.year }));
+
+        chart.panel.replaceChildren(charts.detail({
+            type: chart.series.chart === 'bar' ? 'bar' : 'line',
+            points: points.map(point => ({ label: String(point.year), value: point.value })),
+            target: target ? { label: String(target.year), value: target.value } : null,
+            label: i18n.t('chart.label', { title }),
+            caption: i18n.t('chart.caption', { title }),
+            headers: [i18n.t('chart.year'), i18n.t('chart.value')],
+            actualLegend: i18n.t('chart.reported'),
+            targetLegend: target ? i18n.t('chart.target', { year: target.year }) : '',
+            pointLabel: (point, isTarget) => i18n.t(isTarget ? 'chart.targetPoint' : 'chart.point', { year: point.label, value: i18n.formatNumber(point.value) }),
+            format: value => StatsCounter.format(value),
+            formatFull: value => i18n.formatNumber(value)
+        }));
+    }
+}
+
+// Global Footprint Map
+class FootprintMap extends Component {
+    constructor(options) {
+        super(options);
+        this.svg = null;
+        this.tooltip = null;
+        this.fallback = null;
+        this.countries = new Map();
+        this.hiddenStatuses = new Set();
+    }
+
+    static STATUSES = ['active', 'mapping', 'interest'];
+
+    static STATS = ['schoolsConnected', 'studentsReached', 'schoolsMapped'];
+
+    init() {
+        this.container = document.querySelector('#global-footprint .map-container');
+        this.legendItems = document.querySelectorAll('#global-footprint .legend-item[data-status]');
+        if (!this.container) return;
+
+        const mapSrc = this.container.dataset.mapSrc;
+        const footprintSrc = this.container.dataset.footprintSrc;
+        if (!mapSrc || !footprintSrc || !('fetch' in window)) return;
+
+        // Keep the static image as the fallback until both datasets are in
+        const signal = this.signal;
+        Promise.all([mapSrc, footprintSrc].map(url => fetch(url, { signal }).then(response => {
+            if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+            return response.json();
+        })))
+            .then(([geometry, footprint]) => {
+                if (!signal.aborted) this.render(geometry, footprint);
+            })
+            .catch(error => {
+                if (!signal.aborted) console.warn('Global footprint map unavailable:', error);
+            });
+    }
+
+    // Puts the static map image back
+    destroy() {
+        super.destroy();
+        if (this.svg) {
+            if (this.fallback) {
+                this.svg.replaceWith(this.fallback);
+            } else {
+                this.svg.remove();
+            }
+            this.tooltip.remove();
+        }
+        this.legendItems?.forEach(item => {
+            item.querySelector('.legend-count')?.remove();
+            item.removeAttribute('aria-pressed');
+        });
+        this.svg = null;
+        this.tooltip = null;
+        this.fallback = null;
+        this.countries.clear();
+        this.hiddenStatuses.clear();
+    }
+
+    render(geometry, footprint) {
+        footprint.countries.forEach(country => this.countries.set(country.iso, country));
+        this.updated = footprint.updated;
+
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(svgNS, 'svg');
+        svg.setAttribute('class', 'footprint-svg');
+        svg.setAttribute('viewBox', geometry.viewBox);
+        svg.setAttribute('role', 'group');
+
+        const base = document.createElementNS(svgNS, 'g');
+        base.setAttribute('class', 'footprint-base');
+        base.setAttribute('aria-hidden', 'true');
+        svg.appendChild(base);
+
+        const layers = {};
+        FootprintMap.STATUSES.forEach(status => {
+            layers[status] = document.createElementNS(svgNS, 'g');
+            layers[status].setAttribute('class', 'footprint-layer');
+            layers[status].dataset.status = status;
+            svg.appendChild(layers[status]);
+        });
+
+        geometry.countries.forEach(shape => {
+            const path = document.createElementNS(svgNS, 'path');
+            path.setAttribute('d', shape.d);
+            path.dataset.iso = shape.iso;
+
+            const country = this.countries.get(shape.iso);
+            if (country && layers[country.status]) {
+                path.setAttribute('class', `footprint-country ${country.status}`);
+                path.setAttribute('tabindex', '0');
+                path.setAttribute('role', this.findStory(country.iso) ? 'link' : 'img');
+                layers[country.status].appendChild(path);
+            } else {
+                path.setAttribute('class', 'footprint-country');
+                base.appendChild(path);
+            }
+        });
+
+        this.tooltip = document.createElement('div');
+        this.tooltip.className = 'footprint-tooltip';
+        this.tooltip.id = 'footprint-tooltip';
+        this.tooltip.setAttribute('role', 'tooltip');
+        this.tooltip.hidden = true;
+
+        const image = this.container.querySelector('img');
+        if (image) {
+            this.fallback = image;
+            image.replaceWith(svg);
+        } else {
+            this.container.prepend(svg);
+        }
+        this.container.appendChild(this.tooltip);
+        this.svg = svg;
+
+        this.updateLabels();
+        this.bindCountryEvents();
+        this.bindLegend();
+
+        this.listen(document, 'giga:localechange', () => this.updateLabels());
+    }
+
+    updateLabels() {
+        this.svg.setAttribute('aria-label', i18n.t('footprint.mapLabel', { date: i18n.formatDate(this.updated) }));
+
+        this.svg.querySelectorAll('.footprint-country[tabindex]').forEach(path => {
+            const country = this.countries.get(path.dataset.iso);
+            path.setAttribute('aria-label', i18n.t('footprint.countryLabel', {
+                country: this.countryName(country),
+                status: i18n.t(`footprint.status.${country.status}`)
+            }));
+        });
+    }
+
+    countryName(country) {
+        return i18n.regionName(country.iso, country.name);
+    }
+
+    bindCountryEvents() {
+        const countryFrom = (e) => {
+            const path = e.target.closest('.footprint-country[tabindex]');
+            return path ? { path, country: this.countries.get(path.dataset.iso) } : null;
+        };
+
+        this.svg.addEventListener('mouseover', (e) => {
+            const hit = countryFrom(e);
+            if (hit) {
+                this.showTooltip(hit.path, hit.country);
+            } else {
+                this.hideTooltip();
+            }
+        });
+        this.svg.addEventListener('mouseleave', () => this.hideTooltip());
+        this.svg.addEventListener('focusin', (e) => {
+            const hit = countryFrom(e);
+            if (hit) this.showTooltip(hit.path, hit.country);
+        });
+        this.svg.addEventListener('focusout', () => this.hideTooltip());
+
+        this.svg.addEventListener('click', (e) => {
+            const hit = countryFrom(e);
+            if (hit) this.scrollToStory(hit.country);
+        });
+        this.svg.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter' && e.key !== ' ') return;
+            const hit = countryFrom(e);
+            if (hit) {
+                e.preventDefault();
+                this.scrollToStory(hit.country);
+            }
+        });
+    }
+
+    bindLegend() {
+        this.legendItems.forEach(item => {
+            const status = item.dataset.status;
+            const count = [...this.countries.values()].filter(country => country.status === status).length;
+
+            const countElement = document.createElement('span');
+            countElement.className = 'legend-count';
+            countElement.textContent = `(${count})`;
+            item.appendChild(countElement);
+
+            this.listen(item, 'click', () => this.toggleStatus(status, item));
+        });
+    }
+
+    toggleStatus(status, item) {
+        const hidden = !this.hiddenStatuses.has(status);
+        if (hidden) {
+            this.hiddenStatuses.add(status);
+        } else {
+            this.hiddenStatuses.delete(status);
+        }
+
+        item.setAttribute('aria-pressed', String(!hidden));
+
+        const layer = this.svg.querySelector(`.footprint-layer[data-status="${status}"]`);
+        layer.classList.toggle('is-hidden', hidden);
+        layer.querySelectorAll('.footprint-country').forEach(path => {
+            path.setAttribute('tabindex', hidden ? '-1' : '0');
+            path.setAttribute('aria-hidden', String(hidden));
+        });
+
+        this.hideTooltip();
+    }
+
+    showTooltip(path, country) {
+        if (!country) return;
+
+        // Built from nodes: the names and statuses come from fetched JSON
+        const element = (tag, className, text) => {
+            const node = document.createElement(tag);
+            if (className) node.className = className;
+            node.textContent = text;
+            return node;
+        };
+
+        const status = element('span', 'footprint-tooltip-status', i18n.t(`footprint.status.${country.status}`));
+        if (FootprintMap.STATUSES.includes(country.status)) status.classList.add(country.status);
+        this.tooltip.replaceChildren(element('strong', 'footprint-tooltip-name', this.countryName(country)), status);
+
+        const stats = country.stats || {};
+        const keys = FootprintMap.STATS.filter(key => stats[key] !== undefined);
+        if (keys.length) {
+            const list = document.createElement('dl');
+            list.className = 'footprint-tooltip-stats';
+            keys.forEach(key => {
+                list.append(element('dt', '', i18n.t(`footprint.stat.${key}`)), element('dd', '', i18n.formatNumber(stats[key])));
+            });
+            this.tooltip.appendChild(list);
+        }
+
+        if (this.findStory(country.iso)) {
+            this.tooltip.appendChild(element('span', 'footprint-tooltip-hint', i18n.t('footprint.hint')));
+        }
+
+        // Position above the country, relative to the map container
+        const containerRect = this.container.getBoundingClientRect();
+        const pathRect = path.getBoundingClientRect();
+        this.tooltip.style.left = `${pathRect.left + pathRect.width / 2 - containerRect.left}px`;
+        this.tooltip.style.top = `${pathRect.top - containerRect.top}px`;
+        this.tooltip.hidden = false;
+
+        // Flip below the country when there is no room above it
+        const flip = pathRect.top - containerRect.top < this.tooltip.offsetHeight + 8;
+        this.tooltip.classList.toggle('below', flip);
+        if (flip) {
+            this.tooltip.style.top = `${pathRect.bottom - containerRect.top}px`;
+        }
+
+        path.setAttribute('aria-describedby', this.tooltip.id);
+    }
+
+    hideTooltip() {
+        if (!this.tooltip) return;
+        this.tooltip.hidden = true;
+        this.svg.querySelectorAll('[aria-describedby]').forEach(path => path.removeAttribute('aria-describedby'));
+    }
+
+    findStory(iso) {
+        return [...document.querySelectorAll('.country-story[data-country]')].find(story => story.dataset.country === iso) || null;
+    }
+
+    scrollToStory(country) {
+        const story = country && this.findStory(country.iso);
+        if (!story) return;
+
+        utils.smoothScrollTo(story, utils.getHeaderHeight() + 20);
+        story.setAttribute('tabindex', '-1');
+        story.focus({ preventScroll: true });
+    }
+}
+
+// Country Stories: shareable "#/country/<slug>" detail view
+class CountryStories extends Component {
+    static SCHEMA_VERSION = 1;
+
+    constructor(options) {
+        super(options);
+        this.stories = new Map();
+        this.detail = null;
+        this.current = null;
+        this.ready = null;
+    }
+
+    init() {
+        this.container = document.querySelector('.country-stories');
+        if (!this.container) return;
+
+        // Slugs come from the English titles so links don't change with the language
+        this.container.querySelectorAll('.country-story[data-country]').forEach(card => {
+            const title = card.querySelector('.story-title');
+            const slug = CountryStories.slugify(title ? i18n.original(title).text : card.dataset.country);
+
+            this.stories.set(slug, { slug, iso: card.dataset.country, card, status: null, narrative: [], images: [], stats: {} });
+            this.addLink(card, slug);
+        });
+
+        this.updateLinks();
+        this.ready = this.loadData();
+
+        this.onDestroy(router.register('/country/:slug', {
+            enter: (params) => this.open(params.slug),
+            leave: () => this.close()
+        }));
+
+        this.listen(document, 'giga:localechange', () => {
+            this.updateLinks();
+            if (this.current) this.render(this.current);
+        });
+    }
+
+    destroy() {
+        super.destroy();
+        this.close();
+        this.stories.forEach(story => story.card.querySelector('.story-link')?.remove());
+        this.stories.clear();
+        if (this.detail) {
+            this.detail.remove();
+            this.detail = null;
+        }
+    }
+
+    // New cards get links; an open detail view is rebuilt in place without scrolling to it
+    refresh() {
+        const slug = this.current && this.current.slug;
+        super.refresh();
+
+        const story = slug && this.stories.get(slug);
+        if (story) this.ready.then(() => this.show(story));
+    }
+
+    static slugify(text) {
+        return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+
+    async loadData() {
+        const storiesSrc = this.container.dataset.storiesSrc;
+        const footprintSrc = document.querySelector('[data-footprint-src]')?.dataset.footprintSrc;
+
+        const signal = this.signal;
+
+        const fetchJson = async (src) => {
+            if (!src) return null;
+            try {
+                const response = await fetch(src, { signal });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return await response.json();
+            } catch (error) {
+                if (!signal.aborted) console.warn(`Could not load ${src}:`, error);
+                return null;
+            }
+        };
+
+        const [data, footprint] = await Promise.all([fetchJson(storiesSrc), fetchJson(footprintSrc)]);
+        if (signal.aborted) return;
+
+        if (data && data.schemaVersion === CountryStories.SCHEMA_VERSION) {
+            data.stories.forEach(entry => {
+                const story = [...this.stories.values()].find(candidate => candidate.iso === entry.iso);
+                if (!story) return;
+                story.narrative = entry.narrative || [];
+                story.images = entry.images || [];
+            });
+        } else if (data) {
+            console.warn(`Unsupported stories schema version: ${data.schemaVersion}`);
+        }
+
+        if (footprint) {
+            footprint.countries.forEach(country => {
+                const story = [...this.stories.values()].find(candidate => candidate.iso === country.iso);
+                if (!story) return;
+                story.status = country.status;
+                if (country.stats) story.stats = country.stats;
+            });
+        }
+    }
+
+    addLink(card, slug) {
+        const link = document.createElement('a');
+        link.className = 'story-link';
+        link.href = `#/country/${slug}`;
+        (card.querySelector('.story-content') || card).appendChild(link);
+    }
+
+    updateLinks() {
+        this.stories.forEach(story => {
+            const link = story.card.querySelector('.story-link');
+            const title = story.card.querySelector('.story-title');
+            link.textContent = i18n.t('story.readMore');
+            link.setAttribute('aria-label', i18n.t('story.readMoreLabel', { title: title ? title.textContent.trim() : story.slug }));
+        });
+    }
+
+    async open(slug) {
+        const story = this.stories.get(slug);
+        if (!story) {
+            console.warn(`No country story for "${slug}"`);
+            return null;
+        }
+
+        await this.ready;
+
+        this.show(story);
+        analytics.emit('story:open', { country: slug });
+        utils.smoothScrollTo(this.detail, utils.getHeaderHeight() + 20);
+        this.detail.querySelector('.country-detail-title').focus({ preventScroll: true });
+
+        return {
+            title: this.detail.querySelector('.country-detail-title').textContent,
+            description: story.card.querySelector('.story-description')?.textContent.trim() || ''
+        };
+    }
+
+    show(story) {
+        this.current = story;
+        this.render(story);
+        this.stories.forEach(other => other.card.classList.toggle('is-current', other === story));
+    }
+
+    close() {
+        if (!this.detail) return;
+
+        this.detail.hidden = true;
+        this.current = null;
+        this.stories.forEach(story => story.card.classList.remove('is-current'));
+    }
+
+    render(story) {
+        if (!this.detail) {
+            this.detail = document.createElement('article');
+            this.detail.className = 'country-detail';
+            this.detail.setAttribute('aria-labelledby', 'country-detail-title');
+            this.container.before(this.detail);
+        }
+
+        const title = story.card.querySelector('.story-title');
+        const description = story.card.querySelector('.story-description');
+        const cardImage = story.card.querySelector('.story-image img');
+        const images = story.images.length ? story.images : (cardImage ? [{ src: cardImage.getAttribute('src'), alt: cardImage.alt }] : []);
+        const narrative = story.narrative.length && i18n.locale === i18n.defaultLocale
+            ? story.narrative
+            : [description ? description.textContent.trim() : ''];
+        const stats = Object.entries(story.stats);
+
+        this.detail.hidden = false;
+        this.detail.innerHTML = `
+            <a class="country-detail-back" href="#global-footprint"></a>
+            <div class="country-detail-media"></div>
+            <div class="country-detail-body">
+                <h3 class="country-detail-title" id="country-detail-title" tabindex="-1"></h3>
+                ${story.status ? `<p class="country-detail-status ${story.status}"></p>` : ''}
+                ${stats.length ? '<dl class="country-detail-stats"></dl>' : ''}
+                <div class="country-detail-narrative"></div>
+            </div>
+        `;
+
+        this.detail.querySelector('.country-detail-back').textContent = i18n.t('story.back');
+        this.detail.querySelector('.country-detail-title').textContent = title ? title.textContent.trim() : story.slug;
+        if (story.status) {
+            this.detail.querySelector('.country-detail-status').textContent = i18n.t(`footprint.status.${story.status}`);
+        }
+
+        // Image alt text from the card is already translated; JSON alts are English only
+        images.forEach((image, index) => {
+            const img = document.createElement('img');
+            img.src = image.src;
+            img.alt = index === 0 && cardImage ? cardImage.alt : image.alt;
+            img.loading = 'lazy';
+            this.detail.querySelector('.country-detail-media').appendChild(img);
+        });
+
+        const statsList = this.detail.querySelector('.country-detail-stats');
+        stats.forEach(([key, value]) => {
+            const term = document.createElement('dt');
+            const detail = document.createElement('dd');
+            term.textContent = i18n.t(`story.stat.${key}`);
+            detail.textContent = key === 'maxSpeedMbps'
+                ? i18n.t('story.speed', { value: i18n.formatNumber(value) })
+                : i18n.formatNumber(value);
+            const group = document.createElement('div');
+            group.append(term, detail);
+            statsList.appendChild(group);
+        });
+
+        narrative.forEach(text => {
+            const paragraph = document.createElement('p');
+            paragraph.textContent = text;
+            this.detail.querySelector('.country-detail-narrative').appendChild(paragraph);
+        });
+    }
+}
+
+// Partner Directory (search, filters and A–Z over the partner lists)
+class PartnerDirectory extends Component {
+    static REGIONS = {
+        'africa': 'partners.region.africa',
+        'americas': 'partners.region.americas',
+        'asia-pacific': 'partners.region.asiaPacific',
+        'europe-middle-east': 'partners.region.europeMiddleEast',
+        'global': 'partners.region.global'
+    };
+
+    static TYPES = ['government', 'private', 'funding'];
+
+    // In-country lists mix ministries and regulators with operators
+    static GOVERNMENT_PATTERN = /\b(Ministry|Department|Authority|Commission|Committee|Institute|Superintendency)\b/i;
+
+    constructor(options) {
+        super(options);
+        this.partners = [];
+        this.filters = { q: '', region: '', type: '' };
+        this.container = null;
+    }
+
+    init() {
+        this.source = document.querySelector('[data-partner-directory]');
+        if (!this.source) return;
+
+        this.partners = PartnerDirectory.parse(this.source.closest('.partners-content') || document);
+        if (!this.partners.length) return;
+
+        // Filters live in the URL, so a refresh keeps the current view
+        this.readFilters();
+        this.render();
+
+        this.listen(document, 'giga:localechange', () => {
+            this.updateLabels();
+            this.renderResults();
+        });
+
+        // Back and forward bring the filters of that history entry with them
+        this.listen(window, 'popstate', () => this.applyUrlFilters());
+    }
+
+    // Brings back the original lists
+    destroy() {
+        super.destroy();
+        if (this.container) {
+            this.category.hidden = false;
+            this.container.remove();
+            this.container = null;
+        }
+        this.partners = [];
+    }
+
+    // "Country: Institution A, Institution B" rows plus the sponsor and corporate logo walls.
+    // A country with both ministries and operators becomes one record per type.
+    static parse(root) {
+        const partners = [];
+        const add = (record) => {
+            const existing = partners.find(partner => partner.country === record.country && partner.type === record.type && partner.region === record.region && record.country);
+            if (existing) {
+                existing.institutions.push(...record.institutions);
+            } else {
+                partners.push(record);
+            }
+        };
+
+        root.querySelectorAll('.partner-column[data-region] p').forEach(row => {
+            const region = row.closest('.partner-column').dataset.region;
+            const separator = row.textContent.indexOf(':');
+            if (separator === -1) return;
+
+            const country = row.textContent.slice(0, separator).trim();
+            PartnerDirectory.splitInstitutions(row.textContent.slice(separator + 1)).forEach(institution => {
+                add({
+                    country,
+                    region,
+                    institutions: [institution],
+                    type: PartnerDirectory.GOVERNMENT_PATTERN.test(institution) ? 'government' : 'private'
+                });
+            });
+        });
+
+        root.querySelectorAll('.partner-category[data-partner-type] img[alt]').forEach(logo => {
+            const category = logo.closest('.partner-category');
+            add({
+                country: logo.dataset.country || '',
+                region: category.dataset.region || 'global',
+                institutions: [logo.alt.trim()],
+                type: category.dataset.partnerType
+            });
+        });
+
+        return partners;
+    }
+
+    // Commas separate institutions, except inside names like
+    // "Ministry of Education, Science and Technology"
+    static splitInstitutions(text) {
+        return text.split(',').reduce((institutions, part) => {
+            const name = part.trim();
+            if (!name) return institutions;
+
+            if (institutions.length && !/^(Ministry|Department|Federal)\b/.test(name) && !/\b(Telecom|Corporation|Department|Authority|Commission|Committee|Institute|Superintendency|Regulatory)\b/.test(name)) {
+                institutions[institutions.length - 1] += `, ${name}`;
+            } else {
+                institutions.push(name);
+            }
+            return institutions;
+        }, []);
+    }
+
+    static normalize(text) {
+        return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    readFilters() {
+        const params = new URLSearchParams(window.location.search);
+        const region = params.get('region') || '';
+        const type = params.get('type') || '';
+
+        this.filters = {
+            q: params.get('q') || '',
+            region: region in PartnerDirectory.REGIONS ? region : '',
+            type: PartnerDirectory.TYPES.includes(type) ? type : ''
+        };
+    }
+
+    applyUrlFilters() {
+        this.readFilters();
+        this.search.value = this.filters.q;
+        this.regionSelect.value = this.filters.region;
+        this.typeSelect.value = this.filters.type;
+        this.renderResults();
+    }
+
+    // Keeps the current view linkable: ?region=africa&type=government#partners
+    writeFilters() {
+        const url = new URL(window.location.href);
+        Object.entries(this.filters).forEach(([name, value]) => {
+            if (value) {
+                url.searchParams.set(name, value);
+            } else {
+                url.searchParams.delete(name);
+            }
+        });
+        history.replaceState(history.state, '', url);
+    }
+
+    render() {
+        const category = this.source.closest('.partner-category');
+        this.category = category;
+
+        this.container = document.createElement('div');
+        this.container.className = 'partner-category partner-directory';
+        this.container.innerHTML = `
+            <h3 class="category-title" id="partner-directory-title"></h3>
+            <div class="partner-directory-controls" role="search">
+                <label class="partner-directory-field">
+                    <span class="partner-directory-label" data-label="search"></span>
+                    <input type="search" class="partner-directory-input" name="q" autocomplete="off">
+                </label>
+                <label class="partner-directory-field">
+                    <span class="partner-directory-label" data-label="region"></span>
+                    <select class="partner-directory-select" name="region"></select>
+                </label>
+                <label class="partner-directory-field">
+                    <span class="partner-directory-label" data-label="type"></span>
+                    <select class="partner-directory-select" name="type"></select>
+                </label>
+            </div>
+            <p class="partner-directory-summary" role="status" aria-live="polite"></p>
+            <nav class="partner-directory-jump"></nav>
+            <div class="partner-directory-results" aria-labelledby="partner-directory-title"></div>
+        `;
+
+        // The original lists stay in the markup as the no-JS fallback and the parse source
+        category.hidden = true;
+        category.after(this.container);
+
+        this.search = this.container.querySelector('[name="q"]');
+        this.regionSelect = this.container.querySelector('[name="region"]');
+        this.typeSelect = this.container.querySelector('[name="type"]');
+        this.summary = this.container.querySelector('.partner-directory-summary');
+        this.jumpNav = this.container.querySelector('.partner-directory-jump');
+        this.results = this.container.querySelector('.partner-directory-results');
+
+        this.search.value = this.filters.q;
+
+        this.listen(this.search, 'input', utils.debounce(() => this.setFilter('q', this.search.value.trim()), 200));
+        this.listen(this.regionSelect, 'change', () => this.setFilter('region', this.regionSelect.value));
+        this.listen(this.typeSelect, 'change', () => this.setFilter('type', this.typeSelect.value));
+
+        this.listen(this.jumpNav, 'click', (e) => {
+            const link = e.target.closest('a[data-letter]');
+            if (!link) return;
+            e.preventDefault();
+            this.jumpTo(link.dataset.letter);
+        });
+
+        this.listen(this.results, 'click', (e) => {
+            if (e.target.closest('[data-clear-filters]')) this.clearFilters();
+        });
+
+        this.updateLabels();
+        this.renderResults();
+    }
+
+    updateLabels() {
+        this.container.querySelector('.category-title').textContent = i18n.t('partners.directory.title');
+        this.container.querySelector('[data-label="search"]').textContent = i18n.t('partners.directory.search');
+        this.container.querySelector('[data-label="region"]').textContent = i18n.t('partners.directory.region');
+        this.container.querySelector('[data-label="type"]').textContent = i18n.t('partners.directory.type');
+        this.container.querySelector('[role="search"]').setAttribute('aria-label', i18n.t('partners.directory.search'));
+        this.search.placeholder = i18n.t('partners.directory.searchPlaceholder');
+        this.jumpNav.setAttribute('aria-label', i18n.t('partners.directory.jump'));
+
+        const options = (select, allKey, entries) => {
+            select.innerHTML = '';
+            select.add(new Option(i18n.t(allKey), ''));
+            entries.forEach(([value, label]) => select.add(new Option(label, value)));
+        };
+
+        const usedRegions = new Set(this.partners.map(partner => partner.region));
+        options(this.regionSelect, 'partners.directory.allRegions', Object.entries(PartnerDirectory.REGIONS)
+            .filter(([region]) => usedRegions.has(region))
+            .map(([region, key]) => [region, i18n.t(key)]));
+        options(this.typeSelect, 'partners.directory.allTypes', PartnerDirectory.TYPES.map(type => [type, i18n.t(`partners.type.${type}`)]));
+
+        this.regionSelect.value = this.filters.region;
+        this.typeSelect.value = this.filters.type;
+    }
+
+    setFilter(name, value) {
+        if (this.filters[name] === value) return;
+        this.filters[name] = value;
+        this.writeFilters();
+        this.renderResults();
+    }
+
+    clearFilters({ focus = true } = {}) {
+        this.filters = { q: '', region: '', type: '' };
+        this.search.value = '';
+        this.regionSelect.value = '';
+        this.typeSelect.value = '';
+        this.writeFilters();
+        this.renderResults();
+        if (focus) this.search.focus();
+    }
+
+    // The card for a country (or an organisation without one) in the current results
+    findCard(name) {
+        return [...this.results.querySelectorAll('.partner-card')]
+            .find(card => card.querySelector('.partner-card-name').textContent === name) || null;
+    }
+
+    // A query matching the country keeps all its institutions;
+    // otherwise only the matching institutions are listed
+    filter() {
+        const query = PartnerDirectory.normalize(this.filters.q);
+
+        return this.partners.reduce((matches, partner) => {
+            if (this.filters.region && partner.region !== this.filters.region) return matches;
+            if (this.filters.type && partner.type !== this.filters.type) return matches;
+
+            if (!query || PartnerDirectory.normalize(partner.country).includes(query)) {
+                matches.push(partner);
+            } else {
+                const institutions = partner.institutions.filter(name => PartnerDirectory.normalize(name).includes(query));
+                if (institutions.length) matches.push({ ...partner, institutions });
+            }
+            return matches;
+        }, []);
+    }
+
+    // One card per country (or per organisation for partners without one)
+    group(partners) {
+        const groups = new Map();
+
+        partners.forEach(partner => {
+            partner.institutions.forEach(institution => {
+                const name = partner.country || institution;
+                if (!groups.has(name)) {
+                    groups.set(name, { name, region: partner.region, country: partner.country, institutions: [] });
+                }
+                if (partner.country) {
+                    groups.get(name).institutions.push({ name: institution, type: partner.type });
+                } else {
+                    groups.get(name).type = partner.type;
+                }
+            });
+        });
+
+        return [...groups.values()].sort((a, b) => a.name.localeCompare(b.name, 'en'));
+    }
+
+    static letterOf(name) {
+        return PartnerDirectory.normalize(name).charAt(0).toUpperCase();
+    }
+
+    renderResults() {
+        const matches = this.filter();
+        const groups = this.group(matches);
+        const institutionCount = matches.reduce((total, partner) => total + partner.institutions.length, 0);
+        const countryCount = new Set(matches.map(partner => partner.country).filter(Boolean)).size;
+
+        this.summary.textContent = i18n.t('partners.directory.summary', {
+            partners: i18n.plural('partners.directory.partners', institutionCount),
+            countries: i18n.plural('partners.directory.countries', countryCount)
+        });
+
+        this.renderJumpList(groups);
+
+        this.results.innerHTML = '';
+
+        if (!groups.length) {
+            const empty = document.createElement('div');
+            empty.className = 'partner-directory-empty';
+            empty.innerHTML = '<p></p><button type="button" class="partner-directory-clear" data-clear-filters></button>';
+            empty.querySelector('p').textContent = i18n.t('partners.directory.empty');
+            empty.querySelector('button').textContent = i18n.t('partners.directory.clear');
+            this.results.appendChild(empty);
+            return;
+        }
+
+        let currentLetter = null;
+        let list = null;
+
+        groups.forEach(group => {
+            const letter = PartnerDirectory.letterOf(group.name);
+            if (letter !== currentLetter) {
+                currentLetter = letter;
+                const section = document.createElement('section');
+                section.className = 'partner-directory-letter';
+                section.dataset.letter = letter;
+                section.innerHTML = `<h4 class="partner-directory-letter-title" id="partners-letter-${letter}" tabindex="-1">${letter}</h4><ul class="partner-directory-list"></ul>`;
+                list = section.querySelector('ul');
+                this.results.appendChild(section);
+            }
+
+            list.appendChild(this.renderCard(group));
+        });
+    }
+
+    renderCard(group) {
+        const card = document.createElement('li');
+        card.className = 'partner-card';
+        card.innerHTML = `
+            <div class="partner-card-header">
+                <h5 class="partner-card-name"></h5>
+                <span class="partner-card-region"></span>
+            </div>
+        `;
+        card.querySelector('.partner-card-name').textContent = group.name;
+        card.querySelector('.partner-card-region').textContent = i18n.t(PartnerDirectory.REGIONS[group.region]);
+
+        if (group.institutions.length) {
+            const institutions = document.createElement('ul');
+            institutions.className = 'partner-card-institutions';
+            group.institutions.forEach(institution => {
+                const item = document.createElement('li');
+                item.innerHTML = '<span class="partner-card-institution"></span> <span class="partner-type"></span>';
+                item.querySelector('.partner-card-institution').textContent = institution.name;
+                item.querySelector('.partner-type').textContent = i18n.t(`partners.type.${institution.type}`);
+                item.querySelector('.partner-type').classList.add(institution.type);
+                institutions.appendChild(item);
+            });
+            card.appendChild(institutions);
+        } else {
+            const type = document.createElement('span');
+            type.className = `partner-type ${group.type}`;
+            type.textContent = i18n.t(`partners.type.${group.type}`);
+            card.querySelector('.partner-card-header').appendChild(type);
+        }
+
+        return card;
+    }
+
+    renderJumpList(groups) {
+        const available = new Set(groups.map(group => PartnerDirectory.letterOf(group.name)));
+        this.jumpNav.innerHTML = '';
+
+        'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('').forEach(letter => {
+            if (available.has(letter)) {
+                const link = document.createElement('a');
+                link.href = `#partners-letter-${letter}`;
+                link.dataset.letter = letter;
+                link.textContent = letter;
+                this.jumpNav.appendChild(link);
+            } else {
+                const span = document.createElement('span');
+                span.setAttribute('aria-hidden', 'true');
+                span.textContent = letter;
+                this.jumpNav.appendChild(span);
+            }
+        });
+    }
+
+    jumpTo(letter) {
+        const heading = document.getElementById(`partners-letter-${letter}`);
+        if (!heading) return;
+
+        utils.smoothScrollTo(heading, utils.getHeaderHeight() + 20);
+        heading.focus({ preventScroll: true });
+    }
+}
+
+// Annual report: a print-only copy of the page (cover, contents, summary, final figures, country
+// stories, voices with QR codes to their videos, partners) built from the live sections, so it
+// follows the current language and reporting year. Ctrl+P and the browser's print menu get it too.
+class AnnualReport extends Component {
+    constructor(options) {
+        super(options);
+        this.report = null;
+        this.videos = new Map();
+    }
+
+    static IMAGE_TIMEOUT = 3000;
+
+    init() {
+        // Consent and offline placeholders replace the iframes later, so note the videos now
+        document.querySelectorAll('#giga-voices .voice-item').forEach(item => {
+            const url = AnnualReport.watchUrl(item);
+            if (url) this.videos.set(item, url);
+        });
+
+        document.querySelectorAll('[data-report-download]').forEach(button => {
+            this.listen(button, 'click', () => this.print());
+        });
+
+        this.listen(window, 'beforeprint', () => {
+            if (!this.report) this.build();
+        });
+        this.listen(window, 'afterprint', () => this.remove());
+    }
+
+    destroy() {
+        super.destroy();
+        this.remove();
+        this.videos.clear();
+    }
+
+    // Waits (briefly) for the report's images so none print blank
+    async print() {
+        const signal = this.signal;
+        const images = [...this.build().querySelectorAll('img')].map(image => (image.decode ? image.decode().catch(() => {}) : null));
+        await Promise.race([
+            Promise.all(images),
+            new Promise(resolve => setTimeout(resolve, AnnualReport.IMAGE_TIMEOUT))
+        ]);
+        if (signal.aborted || !this.report) return;
+
+        analytics.emit('report:print', { locale: i18n.locale });
+        window.print();
+    }
+
+    build() {
+        this.remove();
+
+        const sections = [
+            this.summarySection(),
+            this.progressSection(),
+            this.storiesSection(),
+            this.voicesSection(),
+            this.partnersSection()
+        ].filter(Boolean);
+
+        this.report = AnnualReport.create('div', 'print-report');
+        // Only the print stylesheet shows it
+        this.report.hidden = true;
+        this.report.append(this.cover(), this.contents(sections), ...sections.map(section => section.element));
+
+        document.body.appendChild(this.report);
+        document.body.classList.add('has-print-report');
+        return this.report;
+    }
+
+    remove() {
+        if (!this.report) return;
+        this.report.remove();
+        this.report = null;
+        document.body.classList.remove('has-print-report');
+    }
+
+    static create(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        if (text) element.textContent = text;
+        return element;
+    }
+
+    static text(root, selector) {
+        const element = selector ? root.querySelector(selector) : root;
+        return element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+    }
+
+    // Eager copy of a page image, which may still be waiting for lazy loading
+    static image(source, className) {
+        const image = AnnualReport.create('img', className);
+        image.src = source.currentSrc || source.dataset.src || source.src;
+        image.alt = source.alt;
+        return image;
+    }
+
+    // Phones should open the YouTube watch page rather than the bare embed
+    static watchUrl(item) {
+        const player = item.querySelector('[data-src], iframe[src]');
+        const src = player && (player.dataset.src || player.getAttribute('src'));
+        if (!src) return null;
+
+        const match = src.match(/youtube(?:-nocookie)?\.com\/embed\/([\w-]+)/);
+        return match ? `https://www.youtube.com/watch?v=${match[1]}` : new URL(src, window.location.href).href;
+    }
+
+    // A report section headed like the page section it comes from
+    section(id, title, subtitle) {
+        const element = AnnualReport.create('section', 'report-section');
+        element.id = `report-${id}`;
+        element.append(AnnualReport.create('h2', 'report-section-title', title));
+        if (subtitle) element.append(AnnualReport.create('p', 'report-section-subtitle', subtitle));
+        return { id: element.id, title, element };
+    }
+
+    pageSection(id) {
+        const source = document.getElementById(id);
+        return this.section(id, AnnualReport.text(source, '.section-title'), AnnualReport.text(source, '.section-subtitle'));
+    }
+
+    cover() {
+        const cover = AnnualReport.create('header', 'report-cover');
+        const logo = document.querySelector('.header-brand .logo');
+        if (logo) cover.append(AnnualReport.image(logo, 'report-logo'));
+
+        const pageUrl = window.location.href.split('#')[0];
+        cover.append(
+            AnnualReport.create('p', 'report-kicker', i18n.t('report.kicker')),
+            AnnualReport.create('h1', 'report-title', AnnualReport.text(document, '.hero-title')),
+            AnnualReport.create('p', 'report-meta', i18n.t('report.generated', { date: i18n.formatDate(new Date()), url: pageUrl }))
+        );
+        return cover;
+    }
+
+    contents(sections) {
+        const contents = AnnualReport.create('nav', 'report-contents');
+        const list = AnnualReport.create('ol', 'report-contents-list');
+
+        sections.forEach(section => {
+            const item = document.createElement('li');
+            const link = AnnualReport.create('a', null, section.title);
+            link.href = `#${section.id}`;
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+
+        contents.append(AnnualReport.create('h2', 'report-section-title', i18n.t('report.contents')), list);
+        return contents;
+    }
+
+    summarySection() {
+        const paragraphs = document.querySelectorAll('#hero .hero-description p');
+        if (!paragraphs.length) return null;
+
+        const section = this.section('summary', i18n.t('report.summary'));
+        paragraphs.forEach(paragraph => {
+            section.element.appendChild(AnnualReport.create('p', 'report-lead', AnnualReport.text(paragraph)));
+        });
+        return section;
+    }
+
+    // Final values from data-value, whether or not the counters have run
+    progressSection() {
+        const items = document.querySelectorAll('#our-progress .stat-item');
+        if (!items.length) return null;
+
+        const section = this.pageSection('our-progress');
+        const grid = AnnualReport.create('div', 'report-stats');
+
+        items.forEach(item => {
+            const number = item.querySelector('.stat-number');
+            const value = parseFloat(number && number.dataset.value);
+            const stat = AnnualReport.create('article', 'report-stat');
+            stat.appendChild(AnnualReport.create('p', 'report-stat-number', isNaN(value) ? AnnualReport.text(number) : StatsCounter.format(value)));
+
+            const delta = item.querySelector('.stat-delta');
+            if (delta) stat.appendChild(AnnualReport.create('p', delta.className.replace('stat-delta', 'report-stat-delta'), AnnualReport.text(delta)));
+
+            stat.append(
+                AnnualReport.create('h3', 'report-stat-title', AnnualReport.text(item, '.stat-title')),
+                AnnualReport.create('p', 'report-stat-description', AnnualReport.text(item, '.stat-description'))
+            );
+            grid.appendChild(stat);
+        });
+
+        section.element.appendChild(grid);
+        return section;
+    }
+
+    storiesSection() {
+        const stories = document.querySelectorAll('#global-footprint .country-story');
+        if (!stories.length) return null;
+
+        const section = this.pageSection('global-footprint');
+        stories.forEach(story => {
+            const article = AnnualReport.create('article', 'report-story');
+            const image = story.querySelector('.story-image img');
+            if (image) article.appendChild(AnnualReport.image(image, 'report-story-image'));
+
+            const body = AnnualReport.create('div', 'report-story-body');
+            body.append(
+                AnnualReport.create('h3', 'report-story-title', AnnualReport.text(story, '.story-title')),
+                AnnualReport.create('p', null, AnnualReport.text(story, '.story-description'))
+            );
+            article.appendChild(body);
+            section.element.appendChild(article);
+        });
+        return section;
+    }
+
+    voicesSection() {
+        const voices = document.querySelectorAll('#giga-voices .voice-item');
+        if (!voices.length) return null;
+
+        const section = this.pageSection('giga-voices');
+        voices.forEach(voice => {
+            const article = AnnualReport.create('article', 'report-voice');
+            const body = AnnualReport.create('div', 'report-voice-body');
+            body.append(
+                AnnualReport.create('blockquote', 'report-voice-quote', AnnualReport.text(voice, '.voice-quote')),
+                AnnualReport.create('p', 'report-voice-name', AnnualReport.text(voice, '.voice-name')),
+                AnnualReport.create('p', 'report-voice-role', AnnualReport.text(voice, '.voice-title'))
+            );
+            article.appendChild(body);
+
+            const url = AnnualReport.watchUrl(voice) || this.videos.get(voice);
+            if (url) article.appendChild(this.qr(url));
+            section.element.appendChild(article);
+        });
+        return section;
+    }
+
+    qr(url) {
+        const figure = AnnualReport.create('figure', 'report-qr');
+        try {
+            figure.innerHTML = qrCode.svg(url);
+            figure.firstElementChild.setAttribute('aria-hidden', 'true');
+        } catch (error) {
+            // Too long to encode or the library is missing; the printed link below still works
+        }
+
+        const caption = AnnualReport.create('figcaption', null, i18n.t('report.watch'));
+        const link = AnnualReport.create('a', 'report-qr-url', url.replace(/^https?:\/\/(www\.)?/, ''));
+        link.href = url;
+        caption.appendChild(link);
+        figure.appendChild(caption);
+        return figure;
+    }
+
+    // Logo walls become name lists; the in-country directory keeps its regions, flowed into columns
+    partnersSection() {
+        const categories = document.querySelectorAll('#partners .partner-category:not(.partner-directory)');
+        if (!categories.length) return null;
+
+        const section = this.pageSection('partners');
+        categories.forEach(category => {
+            const group = AnnualReport.create('div', 'report-partner-group');
+            group.appendChild(AnnualReport.create('h3', 'report-partner-title', AnnualReport.text(category, '.category-title')));
+
+            const names = [...category.querySelectorAll('.partner-logos img')].map(image => image.alt).filter(Boolean);
+            if (names.length) {
+                const list = AnnualReport.create('ul', 'report-partner-list');
+                names.forEach(name => list.appendChild(AnnualReport.create('li', null, name)));
+                group.appendChild(list);
+            }
+
+            const columns = category.querySelectorAll('.partner-column');
+            if (columns.length) {
+                const regions = AnnualReport.create('div', 'report-partner-columns');
+                columns.forEach(column => {
+                    regions.appendChild(AnnualReport.create('h4', 'report-partner-region', AnnualReport.text(column, 'h4')));
+                    column.querySelectorAll('p').forEach(row => regions.appendChild(AnnualReport.create('p', null, AnnualReport.text(row))));
+                });
+                group.appendChild(regions);
+            }
+
+            section.element.appendChild(group);
+        });
+        return section;
+    }
+}
+
+// Share buttons on stats, country stories and voices: the native share sheet (with a 1200×630
+// PNG card attached) where there is one, otherwise a menu with copy link, X and LinkedIn intents
+// and the card as a download. Shared links are deep links: "#/stat/<metric>", "#/country/<slug>"
+// and "#/voice/<slug>".
+class ShareCards extends Component {
+    constructor(options) {
+        super(options);
+        this.items = [];
+        this.current = null;
+    }
+
+    static TYPES = {
+        stat: '#our-progress .stat-item[data-metric]',
+        story: '#global-footprint .country-story[data-country]',
+        voice: '#giga-voices .voice-item'
+    };
+
+    // Open Graph image size
+    static CARD = { width: 1200, height: 630, padding: 64 };
+
+    // Brand colours rather than theme tokens: the card looks the same whoever shares it
+    static COLORS = {
+        from: '#4A90E2',
+        to: '#357ABD',
+        text: '#FFFFFF',
+        soft: 'rgba(255, 255, 255, 0.85)'
+    };
+
+    static INTENTS = {
+        twitter: (url, text) => `https://twitter.com/intent/tweet?text=${encodeURIComponent(text)}&url=${encodeURIComponent(url)}`,
+        linkedin: (url) => `https://www.linkedin.com/sharing/share-offsite/?url=${encodeURIComponent(url)}`
+    };
+
+    init() {
+        Object.entries(ShareCards.TYPES).forEach(([type, selector]) => {
+            document.querySelectorAll(selector).forEach(element => this.add(type, element));
+        });
+        if (!this.items.length) return;
+
+        this.onDestroy(router.register('/stat/:id', {
+            enter: (params) => this.open('stat', params.id),
+            leave: () => this.clearCurrent()
+        }));
+        this.onDestroy(router.register('/voice/:id', {
+            enter: (params) => this.open('voice', params.id),
+            leave: () => this.clearCurrent()
+        }));
+
+        this.listen(document, 'click', (e) => {
+            this.items.forEach(item => {
+                if (!item.wrapper.contains(e.target)) this.closeMenu(item);
+            });
+        });
+        this.listen(document, 'giga:localechange', () => this.updateLabels());
+        this.updateLabels();
+    }
+
+    destroy() {
+        super.destroy();
+        this.clearCurrent();
+        this.items.forEach(item => item.wrapper.remove());
+        this.items = [];
+    }
+
+    add(type, element) {
+        const id = this.idFor(type, element);
+        if (!id) return;
+
+        const index = this.items.length;
+        const wrapper = document.createElement('div');
+        wrapper.className = 'share';
+        wrapper.innerHTML = `
+            <button type="button" class="share-button" aria-expanded="false" aria-controls="share-menu-${index}">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+                    <circle cx="18" cy="5" r="3"/><circle cx="6" cy="12" r="3"/><circle cx="18" cy="19" r="3"/>
+                    <path d="m8.6 13.5 6.8 4M15.4 6.5l-6.8 4"/>
+                </svg>
+                <span class="share-button-text"></span>
+            </button>
+            <div class="share-menu" id="share-menu-${index}" role="group" hidden>
+                <label class="visually-hidden" for="share-url-${index}" data-share-label="link"></label>
+                <input class="share-url" id="share-url-${index}" type="text" readonly>
+                <button type="button" class="share-option" data-share-action="copy"></button>
+                <a class="share-option" data-share-action="twitter" target="_blank" rel="noopener noreferrer"></a>
+                <a class="share-option" data-share-action="linkedin" target="_blank" rel="noopener noreferrer"></a>
+                <button type="button" class="share-option" data-share-action="download"></button>
+            </div>
+        `;
+
+        const item = {
+            type,
+            id,
+            element,
+            wrapper,
+            button: wrapper.querySelector('.share-button'),
+            menu: wrapper.querySelector('.share-menu')
+        };
+
+        this.listen(item.button, 'click', () => this.share(item));
+        this.listen(item.button, 'pointerenter', () => this.prepareCard(item));
+        this.listen(item.button, 'focus', () => this.prepareCard(item));
+        this.listen(item.menu, 'click', (e) => {
+            const action = e.target.closest('[data-share-action]');
+            if (action) this.handleAction(item, action.dataset.shareAction);
+        });
+        this.listen(wrapper, 'keydown', (e) => {
+            if (e.key === 'Escape' && !item.menu.hidden) {
+                e.stopPropagation();
+                this.closeMenu(item);
+                item.button.focus();
+            }
+        });
+
+        const host = type === 'stat' ? element : element.querySelector('.story-content, .voice-content') || element;
+        host.appendChild(wrapper);
+        this.items.push(item);
+    }
+
+    // Story slugs match CountryStories; voice slugs come from the speaker's name
+    idFor(type, element) {
+        if (type === 'stat') return element.dataset.metric;
+
+        const heading = element.querySelector(type === 'story' ? '.story-title' : '.voice-name');
+        const text = heading ? i18n.original(heading).text : element.dataset.country;
+        return text ? CountryStories.slugify(text) : null;
+    }
+
+    updateLabels() {
+        this.items.forEach(item => {
+            item.button.querySelector('.share-button-text').textContent = i18n.t('share.button');
+            item.button.setAttribute('aria-label', i18n.t('share.label', { title: this.describe(item).label }));
+            item.menu.setAttribute('aria-label', i18n.t('share.menu'));
+            item.menu.querySelector('[data-share-label="link"]').textContent = i18n.t('share.link');
+            item.menu.querySelectorAll('[data-share-action]').forEach(option => {
+                option.textContent = i18n.t(`share.${option.dataset.shareAction}`);
+            });
+        });
+    }
+
+    // What the card and share sheet say, read from the live (translated, current-year) markup
+    describe(item) {
+        const text = (selector) => {
+            const element = item.element.querySelector(selector);
+            return element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+        };
+
+        if (item.type === 'stat') {
+            const value = parseFloat(item.element.querySelector('.stat-number')?.dataset.value);
+            const number = isNaN(value) ? text('.stat-number') : StatsCounter.format(value);
+            const heading = text('.stat-title');
+            return { hash: `#/stat/${item.id}`, label: heading, value: number, heading, body: text('.stat-description'), text: `${number} ${heading}` };
+        }
+
+        if (item.type === 'story') {
+            const heading = text('.story-title');
+            const body = text('.story-description');
+            return { hash: `#/country/${item.id}`, label: heading, heading, body, image: item.element.querySelector('.story-image img'), text: `${heading}: ${body}` };
+        }
+
+        const quote = text('.voice-quote');
+        const name = text('.voice-name');
+        return { hash: `#/voice/${item.id}`, label: name, heading: quote, body: [name, text('.voice-title')].filter(Boolean).join(', '), quote: true, text: `${quote} — ${name}` };
+    }
+
+    url(hash) {
+        return `${window.location.origin}${window.location.pathname}${hash}`;
+    }
+
+    async share(item) {
+        const target = this.describe(item);
+        const url = this.url(target.hash);
+
+        if (!navigator.share) {
+            this.toggleMenu(item, target, url);
+            return;
+        }
+
+        // Only a card prepareCard() has already finished: waiting for one here would outlast the
+        // click's user activation, and the share sheet would be refused
+        const data = { title: AnnualReport.text(document, '.hero-title'), text: target.text, url };
+        const file = item.card && item.card.key === ShareCards.cardKey(target) ? item.card.file : null;
+        if (file && navigator.canShare && navigator.canShare({ ...data, files: [file] })) {
+            data.files = [file];
+        }
+
+        try {
+            await navigator.share(data);
+            analytics.emit('share:send', { type: item.type, id: item.id, method: 'native' });
+        } catch (error) {
+            // Cancelled by the user; anything else gets the fallback menu
+            if (error.name !== 'AbortError') this.toggleMenu(item, target, url);
+        }
+    }
+
+    toggleMenu(item, target, url) {
+        if (!item.menu.hidden) {
+            this.closeMenu(item);
+            return;
+        }
+        this.items.forEach(other => this.closeMenu(other));
+
+        item.menu.querySelector('.share-url').value = url;
+        item.menu.querySelector('[data-share-action="twitter"]').href = ShareCards.INTENTS.twitter(url, target.text);
+        item.menu.querySelector('[data-share-action="linkedin"]').href = ShareCards.INTENTS.linkedin(url);
+
+        item.menu.hidden = false;
+        item.button.setAttribute('aria-expanded', 'true');
+        item.menu.querySelector('[data-share-action="copy"]').focus();
+    }
+
+    closeMenu(item) {
+        if (item.menu.hidden) return;
+        item.menu.hidden = true;
+        item.button.setAttribute('aria-expanded', 'false');
+    }
+
+    async handleAction(item, action) {
+        const method = { method: action, type: item.type, id: item.id };
+
+        if (action === 'copy') {
+            const input = item.menu.querySelector('.share-url');
+            try {
+                await navigator.clipboard.writeText(input.value);
+                utils.announce(i18n.t('share.copied'));
+            } catch (error) {
+                // Leave the link selected for Ctrl+C
+                input.focus();
+                input.select();
+                utils.announce(i18n.t('share.copyFailed'));
+                return;
+            }
+        } else if (action === 'download') {
+            const file = await this.renderCard(item, this.describe(item)).catch(() => null);
+            if (!file) return;
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(file);
+            link.download = file.name;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        }
+
+        analytics.emit('share:send', method);
+    }
+
+    // Deep link: scroll to the item and mark it like the current country story
+    open(type, id) {
+        const item = this.items.find(candidate => candidate.type === type && candidate.id === id);
+        if (!item) {
+            console.warn(`Nothing to share at "${type}/${id}"`);
+            return null;
+        }
+
+        this.clearCurrent();
+        this.current = item;
+        item.element.classList.add('is-current');
+        utils.smoothScrollTo(item.element, utils.getHeaderHeight() + 20);
+        if (!item.element.hasAttribute('tabindex')) item.element.setAttribute('tabindex', '-1');
+        item.element.focus({ preventScroll: true });
+
+        const target = this.describe(item);
+        return item.type === 'voice'
+            ? { title: target.label, description: target.heading }
+            : { title: target.text, description: target.body };
+    }
+
+    clearCurrent() {
+        if (!this.current) return;
+        this.current.element.classList.remove('is-current');
+        this.current = null;
+    }
+
+    // Starts rendering the card when the share button is hovered or focused, so share() can
+    // attach it without waiting. Rendered again once the language, text or story photo changes.
+    prepareCard(item) {
+        if (!navigator.share) return;
+
+        const target = this.describe(item);
+        const key = ShareCards.cardKey(target);
+        if (item.card && item.card.key === key) return;
+
+        const card = { key, file: null };
+        item.card = card;
+        this.renderCard(item, target).then((file) => {
+            card.file = file;
+        }).catch(() => {});
+    }
+
+    static cardKey(target) {
+        const photo = target.image && target.image.complete && target.image.naturalWidth > 0;
+        return `${i18n.locale}|${target.text}|${photo ? target.image.currentSrc || target.image.src : ''}`;
+    }
+
+    // Draws from images already on the page; canvas.toBlob makes it asynchronous. Resolves to a
+    // PNG File, or null without canvas support.
+    async renderCard(item, target) {
+        const { width, height, padding } = ShareCards.CARD;
+        const colors = ShareCards.COLORS;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext && canvas.getContext('2d');
+        if (!context || !canvas.toBlob) return null;
+
+        const rtl = document.documentElement.dir === 'rtl';
+        const font = getComputedStyle(document.documentElement).getPropertyValue('--font-family-primary').trim() || 'Arial, sans-serif';
+        const drawable = image => image && image.complete && image.naturalWidth > 0;
+
+        const gradient = context.createLinearGradient(0, 0, width, height);
+        gradient.addColorStop(0, colors.from);
+        gradient.addColorStop(1, colors.to);
+        context.fillStyle = gradient;
+        context.fillRect(0, 0, width, height);
+
+        // Story photo fills the far side, cropped like object-fit: cover
+        let textLeft = padding;
+        let textWidth = width - padding * 2;
+        if (drawable(target.image)) {
+            const photoWidth = 460;
+            const scale = Math.max(photoWidth / target.image.naturalWidth, height / target.image.naturalHeight);
+            const sourceWidth = photoWidth / scale;
+            const sourceHeight = height / scale;
+            context.drawImage(
+                target.image,
+                (target.image.naturalWidth - sourceWidth) / 2, (target.image.naturalHeight - sourceHeight) / 2, sourceWidth, sourceHeight,
+                rtl ? 0 : width - photoWidth, 0, photoWidth, height
+            );
+            textWidth -= photoWidth;
+            if (rtl) textLeft += photoWidth;
+        }
+
+        context.direction = rtl ? 'rtl' : 'ltr';
+        context.textAlign = 'start';
+        context.textBaseline = 'top';
+        const x = rtl ? textLeft + textWidth : textLeft;
+
+        let y = padding;
+        const logo = document.querySelector('.header-brand .logo');
+        if (drawable(logo)) {
+            const logoHeight = 48;
+            const logoWidth = logo.naturalWidth * logoHeight / logo.naturalHeight;
+            context.drawImage(logo, rtl ? x - logoWidth : x, y, logoWidth, logoHeight);
+        }
+        y += 48 + 40;
+
+        const footerY = height - padding - 24;
+        const write = (text, size, weight, maxLines, color, style = '') => {
+            context.font = `${style} ${weight} ${size}px ${font}`.trim();
+            context.fillStyle = color;
+            const lineHeight = Math.round(size * 1.2);
+            const lines = ShareCards.wrap(context, text, textWidth, Math.min(maxLines, Math.floor((footerY - 24 - y) / lineHeight)));
+            lines.forEach(line => {
+                context.fillText(line, x, y);
+                y += lineHeight;
+            });
+            if (lines.length) y += 16;
+        };
+
+        if (target.value) write(target.value, 112, 800, 1, colors.text);
+        if (target.quote) {
+            write(`“${target.heading.replace(/^["“]|["”]$/g, '')}”`, 42, 600, 6, colors.text, 'italic');
+            write(target.body, 28, 700, 2, colors.soft);
+        } else {
+            write(target.heading, target.value ? 44 : 56, 700, 3, colors.text);
+            write(target.body, 28, 400, 6, colors.soft);
+        }
+
+        context.font = `600 24px ${font}`;
+        context.fillStyle = colors.soft;
+        const year = document.querySelector('[data-report-year]')?.textContent.trim() || '';
+        context.fillText(`${window.location.host} · ${i18n.t('share.cardSource', { year })}`, x, footerY);
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        return blob ? new File([blob], `giga-${item.type}-${item.id}.png`, { type: 'image/png' }) : null;
+    }
+
+    // Word-wraps to maxWidth; the last line gets an ellipsis when the text doesn't fit
+    static wrap(context, text, maxWidth, maxLines) {
+        if (maxLines < 1) return [];
+
+        const lines = [];
+        let line = '';
+
+        for (const word of text.split(/\s+/).filter(Boolean)) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (context.measureText(candidate).width <= maxWidth || !line) {
+                line = candidate;
+                continue;
+            }
+            lines.push(line);
+            line = word;
+            if (lines.length === maxLines) break;
+        }
+        if (line && lines.length < maxLines) {
+            lines.push(line);
+            line = '';
+        }
+
+        if (line && lines.length) {
+            let last = lines[lines.length - 1];
+            while (last && context.measureText(`${last}…`).width > maxWidth) last = last.slice(0, -1);
+            lines[lines.length - 1] = `${last.trimEnd()}…`;
+        }
+        return lines;
+    }
+}
+
+// Site search: "/" or Ctrl+K (or the header button) opens a command palette over an index of the
+// page built at startup: section titles, stats, stories, voices and partner entries. Titles match
+// fuzzily ("brzl" finds Brazil), the text under them by substring; all words have to match.
+class SiteSearch extends Component {
+    static GROUPS = ['sections', 'stats', 'stories', 'voices', 'partners'];
+    static GROUP_LIMIT = 5;
+    static HIGHLIGHT_DURATION = 2000;
+
+    constructor(options) {
+        super(options);
+        this.entries = [];
+        this.results = [];
+        this.active = -1;
+        this.dialog = null;
+        this.scope = null;
+        this.marked = null;
+    }
+
+    init() {
+        this.buildIndex();
+        if (!this.entries.length) return;
+
+        this.toggles = document.querySelectorAll('[data-search-open]');
+        this.toggles.forEach(toggle => {
+            toggle.hidden = false;
+            this.listen(toggle, 'click', () => this.open());
+        });
+
+        this.listen(document, 'keydown', (e) => {
+            if (e.defaultPrevented || this.isOpen()) return;
+
+            const shortcut = (e.key === '/' && !e.ctrlKey && !e.metaKey && !e.altKey && !SiteSearch.isTyping(e.target))
+                || ((e.ctrlKey || e.metaKey) && !e.altKey && String(e.key).toLowerCase() === 'k');
+            if (!shortcut) return;
+
+            // Not over the lockscreen or another dialog
+            if (focusScope.top()) return;
+
+            e.preventDefault();
+            this.open();
+        });
+
+        // Titles and descriptions are swapped in place; the index and labels follow
+        this.listen(document, 'giga:localechange', () => {
+            this.buildIndex();
+            if (this.dialog) this.updateLabels();
+            if (this.isOpen()) this.search();
+        });
+    }
+
+    destroy() {
+        this.close({ returnFocus: false });
+        this.clearTarget();
+        (this.toggles || []).forEach(toggle => {
+            toggle.hidden = true;
+        });
+        if (this.dialog) {
+            this.dialog.remove();
+            this.dialog = null;
+        }
+        super.destroy();
+    }
+
+    static isTyping(element) {
+        return Boolean(element && element.closest && element.closest('input, textarea, select, [contenteditable="true"]'));
+    }
+
+    // Case and accent-insensitive copy of the text, with each character's position in the
+    // original so matches can be highlighted there
+    static fold(text) {
+        let folded = '';
+        const positions = [];
+        for (let index = 0; index < text.length; index++) {
+            const part = text[index].normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+            folded += part;
+            for (let offset = 0; offset < part.length; offset++) positions.push(index);
+        }
+        return { text, folded, positions };
+    }
+
+    static clean(text) {
+        return text.replace(/\s+/g, ' ').trim();
+    }
+
+    // Read from the live page, so it is in the current language
+    buildIndex() {
+        const entries = [];
+        const add = (group, element, title, detail = '') => {
+            if (!element || !title) return;
+            entries.push({ group, element, name: title, title: SiteSearch.fold(title), detail: SiteSearch.fold(detail) });
+        };
+        const text = (root, selector) => SiteSearch.clean(root.querySelector(selector)?.textContent || '');
+
+        document.querySelectorAll('main section[id]').forEach(section => {
+            add('sections', section, text(section, '.section-title'), text(section, '.section-subtitle'));
+        });
+
+        document.querySelectorAll('.stat-item').forEach(item => {
+            add('stats', item, text(item, '.stat-title'), text(item, '.stat-description'));
+        });
+
+        document.querySelectorAll('.country-story').forEach(story => {
+            add('stories', story, text(story, '.story-title'), text(story, '.story-description'));
+        });
+        document.querySelectorAll('.impact-story').forEach(story => {
+            add('stories', story, text(story, '.story-attribution'), text(story, '.story-quote'));
+        });
+
+        document.querySelectorAll('.voice-item').forEach(voice => {
+            const role = text(voice, '.voice-title');
+            const quote = text(voice, '.voice-quote');
+            add('voices', voice, text(voice, '.voice-name'), [role, quote].filter(Boolean).join(' · '));
+        });
+
+        // One entry per country row and per logo, like the partner directory lists them
+        document.querySelectorAll('.partner-column[data-region] p').forEach(row => {
+            const separator = row.textContent.indexOf(':');
+            if (separator === -1) return;
+            add('partners', row, SiteSearch.clean(row.textContent.slice(0, separator)), SiteSearch.clean(row.textContent.slice(separator + 1)));
+        });
+        document.querySelectorAll('.partner-category img[alt]').forEach(logo => {
+            const category = logo.closest('.partner-category');
+            add('partners', logo, logo.alt.trim(), logo.dataset.country || text(category, '.category-title'));
+        });
+
+        this.entries = entries;
+    }
+
+    // { score, ranges } for one word in one field, or null. Substrings score 2 (3 at the start
+    // of a word); a fuzzy match, the word's letters in order, scores under 1.
+    static match(word, field, fuzzy) {
+        const { folded, positions } = field;
+        if (!folded) return null;
+
+        const index = folded.indexOf(word);
+        if (index !== -1) {
+            const wordStart = index === 0 || !/[\p{L}\p{N}]/u.test(folded[index - 1]);
+            return {
+                score: (wordStart ? 3 : 2) - index / (folded.length + 1),
+                ranges: [[positions[index], positions[index + word.length - 1] + 1]]
+            };
+        }
+
+        if (!fuzzy || word.length < 2) return null;
+
+        const ranges = [];
+        let from = 0;
+        let gaps = 0;
+        for (const char of word) {
+            const found = folded.indexOf(char, from);
+            if (found === -1) return null;
+
+            const position = positions[found];
+            const last = ranges[ranges.length - 1];
+            if (last && position === last[1]) {
+                last[1] = position + 1;
+            } else {
+                if (last) gaps++;
+                ranges.push([position, position + 1]);
+            }
+            from = found + 1;
+        }
+
+        // Too scattered to be what was meant
+        if (gaps > Math.ceil(word.length / 3)) return null;
+        return { score: 1 - gaps / word.length, ranges };
+    }
+
+    // Every word must match the title (counted double) or the detail text
+    static score(entry, words) {
+        const ranges = { title: [], detail: [] };
+        let total = 0;
+
+        for (const word of words) {
+            const title = SiteSearch.match(word, entry.title, true);
+            const detail = SiteSearch.match(word, entry.detail, false);
+            if (!title && !detail) return null;
+
+            if (title && (!detail || title.score * 2 >= detail.score)) {
+                total += title.score * 2;
+                ranges.title.push(...title.ranges);
+            } else {
+                total += detail.score;
+                ranges.detail.push(...detail.ranges);
+            }
+        }
+
+        return { entry, score: total, ranges };
+    }
+
+    // Grouped results, best group first; an empty query lists the sections
+    query(text) {
+        const words = SiteSearch.fold(text.trim()).folded.split(/\s+/).filter(Boolean);
+        if (!words.length) {
+            return [{
+                group: 'sections',
+                results: this.entries.filter(entry => entry.group === 'sections').map(entry => ({ entry, score: 0, ranges: { title: [], detail: [] } }))
+            }];
+        }
+
+        const groups = new Map();
+        this.entries.forEach(entry => {
+            const result = SiteSearch.score(entry, words);
+            if (!result) return;
+            if (!groups.has(entry.group)) groups.set(entry.group, []);
+            groups.get(entry.group).push(result);
+        });
+
+        return [...groups.entries()]
+            .map(([group, results]) => ({
+                group,
+                results: results.sort((a, b) => b.score - a.score).slice(0, SiteSearch.GROUP_LIMIT)
+            }))
+            .sort((a, b) => b.results[0].score - a.results[0].score
+                || SiteSearch.GROUPS.indexOf(a.group) - SiteSearch.GROUPS.indexOf(b.group));
+    }
+
+    createDialog() {
+        const dialog = document.createElement('div');
+        dialog.className = 'site-search';
+        dialog.hidden = true;
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', 'site-search-title');
+        dialog.innerHTML = `
+            <div class="site-search-overlay"></div>
+            <div class="site-search-panel">
+                <h2 class="visually-hidden" id="site-search-title"></h2>
+                <div class="site-search-field">
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                        <circle cx="11" cy="11" r="7"></circle>
+                        <line x1="21" y1="21" x2="16.65" y2="16.65"></line>
+                    </svg>
+                    <input type="text" class="site-search-input" role="combobox" aria-autocomplete="list" aria-expanded="true" aria-controls="site-search-results" autocomplete="off" spellcheck="false">
+                    <button type="button" class="site-search-close">
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                            <line x1="18" y1="6" x2="6" y2="18"></line>
+                            <line x1="6" y1="6" x2="18" y2="18"></line>
+                        </svg>
+                    </button>
+                </div>
+                <div class="site-search-results" id="site-search-results" role="listbox"></div>
+                <div class="site-search-footer">
+                    <p class="site-search-status" role="status" aria-live="polite"></p>
+                    <p class="site-search-hint" aria-hidden="true"></p>
+                </div>
+            </div>
+        `;
+
+        this.input = dialog.querySelector('.site-search-input');
+        this.list = dialog.querySelector('.site-search-results');
+        this.status = dialog.querySelector('.site-search-status');
+
+        // Bound once; the dialog outlives open/close
+        this.input.addEventListener('input', () => this.search());
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        dialog.querySelector('.site-search-close').addEventListener('click', () => this.close());
+        dialog.querySelector('.site-search-overlay').addEventListener('click', () => this.close());
+        dialog.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.close();
+            }
+        });
+
+        this.list.addEventListener('click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) this.choose(Number(option.dataset.index));
+        });
+        this.list.addEventListener('mousemove', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option && Number(option.dataset.index) !== this.active) this.setActive(Number(option.dataset.index));
+        });
+
+        document.body.appendChild(dialog);
+        this.dialog = dialog;
+        this.updateLabels();
+        return dialog;
+    }
+
+    updateLabels() {
+        this.dialog.querySelector('#site-search-title').textContent = i18n.t('search.title');
+        this.dialog.querySelector('.site-search-close').setAttribute('aria-label', i18n.t('search.close'));
+        this.dialog.querySelector('.site-search-hint').textContent = i18n.t('search.hint');
+        this.list.setAttribute('aria-label', i18n.t('search.title'));
+        this.input.setAttribute('aria-label', i18n.t('search.title'));
+        this.input.placeholder = i18n.t('search.placeholder');
+    }
+
+    isOpen() {
+        return Boolean(this.dialog && !this.dialog.hidden);
+    }
+
+    open() {
+        if (this.isOpen()) return;
+        if (!this.dialog) this.createDialog();
+
+        this.dialog.hidden = false;
+        document.body.style.overflow = 'hidden';
+        this.scope = focusScope.activate(this.dialog, { initialFocus: this.input });
+        this.input.select();
+        this.search();
+    }
+
+    close(options = {}) {
+        if (!this.isOpen()) return;
+
+        this.dialog.hidden = true;
+        document.body.style.overflow = '';
+        this.scope.deactivate(options);
+        this.scope = null;
+    }
+
+    search() {
+        const query = this.input.value;
+        const groups = this.query(query);
+
+        this.results = [];
+        this.list.replaceChildren();
+
+        groups.forEach(({ group, results }) => {
+            const section = document.createElement('div');
+            section.className = 'site-search-group';
+            section.setAttribute('role', 'group');
+            section.setAttribute('aria-labelledby', `site-search-group-${group}`);
+
+            const heading = document.createElement('div');
+            heading.className = 'site-search-group-title';
+            heading.id = `site-search-group-${group}`;
+            heading.setAttribute('role', 'presentation');
+            heading.textContent = i18n.t(`search.group.${group}`);
+            section.appendChild(heading);
+
+            results.forEach(result => {
+                section.appendChild(this.renderOption(result, this.results.length));
+                this.results.push(result);
+            });
+            this.list.appendChild(section);
+        });
+
+        if (!query.trim()) {
+            this.status.textContent = '';
+        } else if (this.results.length) {
+            this.status.textContent = i18n.plural('search.results', this.results.length);
+        } else {
+            this.status.textContent = i18n.t('search.empty', { query: query.trim() });
+        }
+
+        this.setActive(this.results.length ? 0 : -1);
+    }
+
+    renderOption(result, index) {
+        const option = document.createElement('div');
+        option.className = 'site-search-option';
+        option.id = `site-search-option-${index}`;
+        option.dataset.index = index;
+        option.setAttribute('role', 'option');
+        option.setAttribute('aria-selected', 'false');
+
+        const title = document.createElement('span');
+        title.className = 'site-search-option-title';
+        title.appendChild(SiteSearch.highlight(result.entry.title.text, result.ranges.title));
+        option.appendChild(title);
+
+        if (result.entry.detail.text) {
+            const snippet = SiteSearch.snippet(result.entry.detail.text, result.ranges.detail);
+            const detail = document.createElement('span');
+            detail.className = 'site-search-option-detail';
+            detail.appendChild(SiteSearch.highlight(snippet.text, snippet.ranges));
+            option.appendChild(detail);
+        }
+
+        return option;
+    }
+
+    // Text with the matched ranges in <mark>
+    static highlight(text, ranges) {
+        const fragment = document.createDocumentFragment();
+        const merged = [...ranges].sort((a, b) => a[0] - b[0]).reduce((list, range) => {
+            const last = list[list.length - 1];
+            if (last && range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                list.push([...range]);
+            }
+            return list;
+        }, []);
+
+        let position = 0;
+        merged.forEach(([start, end]) => {
+            if (start > position) fragment.appendChild(document.createTextNode(text.slice(position, start)));
+            const mark = document.createElement('mark');
+            mark.textContent = text.slice(start, end);
+            fragment.appendChild(mark);
+            position = end;
+        });
+        if (position < text.length) fragment.appendChild(document.createTextNode(text.slice(position)));
+        return fragment;
+    }
+
+    // Long quotes start shortly before the first match, so it isn't clipped away
+    static snippet(text, ranges, lead = 40) {
+        const start = ranges.length ? Math.min(...ranges.map(range => range[0])) : 0;
+        if (start <= lead * 1.5) return { text, ranges };
+
+        const cut = text.lastIndexOf(' ', start - lead) + 1;
+        return {
+            text: `…${text.slice(cut)}`,
+            ranges: ranges.map(([from, to]) => [from - cut + 1, to - cut + 1])
+        };
+    }
+
+    setActive(index) {
+        this.active = index;
+        this.list.querySelectorAll('[role="option"]').forEach(option => {
+            const selected = Number(option.dataset.index) === index;
+            option.setAttribute('aria-selected', String(selected));
+            option.classList.toggle('is-active', selected);
+            if (selected && option.scrollIntoView) option.scrollIntoView({ block: 'nearest' });
+        });
+
+        if (index === -1) {
+            this.input.removeAttribute('aria-activedescendant');
+        } else {
+            this.input.setAttribute('aria-activedescendant', `site-search-option-${index}`);
+        }
+    }
+
+    handleKeydown(e) {
+        const count = this.results.length;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (!count) return;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.setActive((this.active + step + count) % count);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (this.active !== -1) this.choose(this.active);
+        }
+    }
+
+    // The in-country rows are hidden while the partner directory replaces them; its card for the
+    // country stands in (with the filters cleared if they hide it)
+    resolve(entry) {
+        if (!entry.element.closest('[hidden]')) return entry.element;
+
+        const directory = gigaWebsite.get('partnerDirectory');
+        if (entry.group !== 'partners' || !directory || !directory.container) return null;
+
+        let card = directory.findCard(entry.name);
+        if (!card) {
+            directory.clearFilters({ focus: false });
+            card = directory.findCard(entry.name);
+        }
+        return card;
+    }
+
+    choose(index) {
+        const result = this.results[index];
+        if (!result) return;
+
+        const target = this.resolve(result.entry);
+        this.close({ returnFocus: !target });
+        if (!target) return;
+
+        utils.smoothScrollTo(target, utils.getHeaderHeight() + 20);
+        if (!target.matches(focusScope.selector)) target.setAttribute('tabindex', '-1');
+        target.focus({ preventScroll: true });
+        this.markTarget(target);
+
+        analytics.emit('search:select', { group: result.entry.group, position: index + 1 });
+    }
+
+    // Briefly outlines where a result landed
+    markTarget(element) {
+        this.clearTarget();
+        element.classList.add('search-target');
+        const timer = setTimeout(() => this.clearTarget(), SiteSearch.HIGHLIGHT_DURATION);
+        this.marked = { element, timer };
+    }
+
+    clearTarget() {
+        if (!this.marked) return;
+        clearTimeout(this.marked.timer);
+        this.marked.element.classList.remove('search-target');
+        this.marked = null;
+    }
+}
+
+// Form Handling: validation, multi-step forms, spam checks and submission to a real endpoint
+class FormHandler extends Component {
+    static DEFAULT_MIN_FILL_TIME = 3;
+
+    constructor(options) {
+        super(options);
+        this.forms = [];
+        this.state = new WeakMap();
+    }
+
+    init() {
+        this.scan();
+
+        this.listen(document, 'giga:localechange', () => {
+            this.forms.forEach(form => {
+                this.renderProgress(form);
+                form.querySelectorAll('[aria-invalid="true"]').forEach(target => this.validateTarget(form, target));
+            });
+        });
+    }
+
+    // Only forms that aren't set up yet, so half-filled ones keep their step and input
+    scan() {
+        document.querySelectorAll('form:not([method="dialog"])').forEach(form => {
+            if (!this.state.has(form)) this.setupForm(form);
+        });
+    }
+
+    refresh() {
+        this.forms = this.forms.filter(form => form.isConnected);
+        this.scan();
+    }
+
+    // Back to plain forms: every step visible and native validation on
+    destroy() {
+        super.destroy();
+        this.forms.forEach(form => {
+            const { steps } = this.state.get(form);
+            steps.forEach(step => {
+                step.hidden = false;
+            });
+            form.querySelector('.form-progress')?.remove();
+            form.querySelectorAll('[data-step-back], [data-step-next], [type="submit"]').forEach(button => {
+                button.hidden = false;
+            });
+            form.querySelectorAll('[aria-invalid="true"]').forEach(field => this.clearFieldError(field));
+            this.removeSummary(form);
+            form.noValidate = false;
+            this.state.delete(form);
+        });
+        this.forms = [];
+    }
+
+    setupForm(form) {
+        this.forms.push(form);
+        this.state.set(form, { step: 0, steps: [...form.querySelectorAll('[data-step]')], startedAt: Date.now() });
+        this.setupSteps(form);
+
+        // Our messages replace the browser's validation bubbles
+        form.noValidate = true;
+
+        this.listen(form, 'submit', (e) => {
+            this.handleSubmit(e, form);
+        });
+
+        // Validate on blur once a field has been touched, then live after its first error
+        this.listen(form, 'focusout', (e) => {
+            const target = this.targetFor(e.target);
+            if (target && ('dirty' in target.dataset || target.getAttribute('aria-invalid') === 'true')) {
+                this.validateTarget(form, target);
+            }
+        });
+        ['input', 'change'].forEach(type => {
+            this.listen(form, type, (e) => {
+                const target = this.targetFor(e.target);
+                if (!target) return;
+                target.dataset.dirty = '';
+                if (target.getAttribute('aria-invalid') === 'true') this.validateTarget(form, target);
+            });
+        });
+    }
+
+    setupSteps(form) {
+        const { steps } = this.state.get(form);
+        const back = form.querySelector('[data-step-back]');
+        const next = form.querySelector('[data-step-next]');
+
+        if (steps.length < 2) {
+            if (back) back.hidden = true;
+            if (next) next.hidden = true;
+            return;
+        }
+
+        const progress = document.createElement('div');
+        progress.className = 'form-progress';
+        progress.innerHTML = '<p class="form-progress-status" aria-live="polite"></p><ol class="form-progress-steps"></ol>';
+        form.insertBefore(progress, form.firstChild);
+
+        if (back) this.listen(back, 'click', () => this.goToStep(form, this.state.get(form).step - 1));
+        if (next) this.listen(next, 'click', () => this.nextStep(form));
+
+        this.goToStep(form, 0, { focus: false });
+    }
+
+    nextStep(form) {
+        const { steps, step } = this.state.get(form);
+        if (this.validateScope(form, steps[step])) {
+            this.removeSummary(form);
+            this.goToStep(form, step + 1);
+        } else {
+            this.renderSummary(form, { focus: true });
+        }
+    }
+
+    goToStep(form, index, { focus = true } = {}) {
+        const state = this.state.get(form);
+        if (!state.steps.length) return;
+
+        state.step = Math.min(Math.max(index, 0), state.steps.length - 1);
+        const isLast = state.step === state.steps.length - 1;
+
+        state.steps.forEach((step, i) => {
+            step.hidden = i !== state.step;
+        });
+
+        const back = form.querySelector('[data-step-back]');
+        const next = form.querySelector('[data-step-next]');
+        const submit = form.querySelector('[type="submit"]');
+        if (back) back.hidden = state.step === 0;
+        if (next) next.hidden = isLast;
+        if (submit) submit.hidden = !isLast;
+
+        this.renderProgress(form);
+
+        if (focus) {
+            const firstField = state.steps[state.step].querySelector('input, select, textarea');
+            if (firstField) firstField.focus();
+        }
+    }
+
+    renderProgress(form) {
+        const state = this.state.get(form);
+        const progress = form.querySelector('.form-progress');
+        if (!progress || !state) return;
+
+        const titleOf = (step) => {
+            const legend = step.querySelector('legend');
+            return legend ? legend.textContent.trim() : '';
+        };
+
+        progress.querySelector('.form-progress-status').textContent = i18n.t('form.step', {
+            current: i18n.formatNumber(state.step + 1),
+            total: i18n.formatNumber(state.steps.length),
+            title: titleOf(state.steps[state.step])
+        });
+
+        const list = progress.querySelector('.form-progress-steps');
+        list.innerHTML = '';
+        list.setAttribute('aria-hidden', 'true');
+        state.steps.forEach((step, i) => {
+            const item = document.createElement('li');
+            item.textContent = titleOf(step);
+            item.classList.toggle('is-current', i === state.step);
+            item.classList.toggle('is-complete', i < state.step);
+            list.appendChild(item);
+        });
+    }
+
+    handleSubmit(e, form) {
+        e.preventDefault();
+
+        // Enter on an earlier step moves forward instead of submitting
+        const state = this.state.get(form);
+        if (state.steps.length > 1 && state.step < state.steps.length - 1) {
+            this.nextStep(form);
+            return;
+        }
+
+        // Check every step; the first one with problems is shown
+        const scopes = state.steps.length ? state.steps : [form];
+        const invalidStep = scopes.findIndex(scope => !this.validateScope(form, scope));
+
+        if (invalidStep !== -1) {
+            if (state.steps.length) this.goToStep(form, invalidStep, { focus: false });
+            this.renderSummary(form, { focus: true });
+            return;
+        }
+
+        this.removeSummary(form);
+        this.submitForm(form);
+    }
+
+    // The element a rule runs on: the field itself, or its checkbox group
+    targetFor(element) {
+        if (!element.matches || !element.matches('input, select, textarea')) return null;
+        if (['hidden', 'submit', 'button', 'reset'].includes(element.type) || element.disabled) return null;
+        if (element.closest('.form-honeypot')) return null;
+        return element.closest('[data-validate-min-checked]') || element;
+    }
+
+    validateScope(form, scope) {
+        const targets = new Set([...scope.querySelectorAll('input, select, textarea')]
+            .map(field => this.targetFor(field))
+            .filter(Boolean));
+
+        let isValid = true;
+        targets.forEach(target => {
+            if (!this.validateTarget(form, target)) isValid = false;
+        });
+        return isValid;
+    }
+
+    validateTarget(form, target) {
+        const message = validation.validate(target, form);
+
+        if (message) {
+            this.showFieldError(target, message);
+        } else {
+            this.clearFieldError(target);
+        }
+
+        this.updateSummary(form);
+        return !message;
+    }
+
+    ensureId(element) {
+        if (!element.id) {
+            FormHandler.idCounter = (FormHandler.idCounter || 0) + 1;
+            element.id = `field-${element.name || 'group'}-${FormHandler.idCounter}`;
+        }
+        return element.id;
+    }
+
+    showFieldError(field, message) {
+        const errorId = `${this.ensureId(field)}-error`;
+        field.classList.add('error');
+        field.setAttribute('aria-invalid', 'true');
+
+        let errorElement = document.getElementById(errorId);
+        if (!errorElement) {
+            errorElement = document.createElement('div');
+            errorElement.className = 'field-error';
+            errorElement.id = errorId;
+            const container = validation.isGroup(field) ? field : (field.closest('.form-field') || field.parentNode);
+            container.appendChild(errorElement);
+        }
+        
+        errorElement.textContent = message;
+
+        const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+        if (!describedBy.includes(errorId)) {
+            field.setAttribute('aria-describedby', [...describedBy, errorId].join(' '));
+        }
+    }
+
+    clearFieldError(field) {
+        field.classList.remove('error');
+        field.removeAttribute('aria-invalid');
+        if (!field.id) return;
+
+        const errorId = `${field.id}-error`;
+        const errorElement = document.getElementById(errorId);
+        if (errorElement) {
+            errorElement.remove();
+        }
+
+        const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(token => token && token !== errorId);
+        if (describedBy.length) {
+            field.setAttribute('aria-describedby', describedBy.join(' '));
+        } else {
+            field.removeAttribute('aria-describedby');
+        }
+    }
+
+    // Lists every visible invalid field, linking to it
+    renderSummary(form, { focus = false } = {}) {
+        const invalid = [...form.querySelectorAll('[aria-invalid="true"]')].filter(target => !target.closest('[hidden]'));
+        if (!invalid.length) {
+            this.removeSummary(form);
+            return;
+        }
+
+        let summary = form.querySelector('.form-error-summary');
+        if (!summary) {
+            summary = document.createElement('div');
+            summary.className = 'form-error-summary';
+            summary.tabIndex = -1;
+            summary.innerHTML = '<h3 class="form-error-summary-title"></h3><ul class="form-error-summary-list"></ul>';
+
+            const titleId = `${this.ensureId(form)}-error-summary`;
+            summary.querySelector('h3').id = titleId;
+            summary.setAttribute('aria-labelledby', titleId);
+
+            summary.addEventListener('click', (e) => {
+                const link = e.target.closest('a[data-field]');
+                if (!link) return;
+                e.preventDefault();
+
+                const target = document.getElementById(link.dataset.field);
+                const focusable = validation.isGroup(target) ? target.querySelector('input') : target;
+                focusable.focus();
+                target.scrollIntoView({ block: 'center', behavior: motion.reduced() ? 'auto' : 'smooth' });
+            });
+
+            const progress = form.querySelector('.form-progress');
+            form.insertBefore(summary, progress ? progress.nextSibling : form.firstChild);
+        }
+
+        summary.querySelector('h3').textContent = i18n.plural('validation.summary', invalid.length);
+
+        const list = summary.querySelector('ul');
+        list.innerHTML = '';
+        invalid.forEach(target => {
+            const error = document.getElementById(`${target.id}-error`);
+            const label = validation.label(target, form);
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = `#${target.id}`;
+            link.dataset.field = target.id;
+            link.textContent = label ? `${label}: ${error ? error.textContent : ''}` : (error ? error.textContent : '');
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+
+        if (focus) summary.focus();
+    }
+
+    updateSummary(form) {
+        if (form.querySelector('.form-error-summary')) this.renderSummary(form);
+    }
+
+    removeSummary(form) {
+        const summary = form.querySelector('.form-error-summary');
+        if (summary) summary.remove();
+    }
+
+    // Bots fill every input they find and submit within milliseconds of page load
+    checkSpam(form) {
+        const honeypot = form.querySelector('.form-honeypot input');
+        if (honeypot && honeypot.value) return 'honeypot';
+
+        const minFillTime = Number(form.dataset.minFillTime ?? FormHandler.DEFAULT_MIN_FILL_TIME) * 1000;
+        if (Date.now() - this.state.get(form).startedAt < minFillTime) return 'too-fast';
+
+        return null;
+    }
+
+    buildRequest(form) {
+        const formData = new FormData(form);
+        formData.set('_elapsed', String(Date.now() - this.state.get(form).startedAt));
+
+        const headers = { Accept: 'application/json' };
+        let body = formData;
+
+        if ((form.dataset.encoding || 'json') === 'json') {
+            const data = {};
+            formData.forEach((value, key) => {
+                if (key in data) {
+                    data[key] = [].concat(data[key], value);
+                } else {
+                    data[key] = value;
+                }
+            });
+            headers['Content-Type'] = 'application/json';
+            body = JSON.stringify(data);
+        }
+
+        return { method: (form.getAttribute('method') || 'post').toUpperCase(), headers, body };
+    }
+
+    async submitForm(form) {
+        const submitButton = form.querySelector('[type="submit"]');
+        const originalLabel = submitButton ? submitButton.textContent : '';
+        // Only the form's identity is reported, never what was typed into it
+        const track = (name, detail = {}) => analytics.emit(name, { form: form.id || null, ...detail });
+
+        const spam = this.checkSpam(form);
+        if (spam === 'honeypot') {
+            // Don't tell the bot it was caught
+            this.showSuccessMessage(form, i18n.t('form.success'));
+            this.resetForm(form);
+            return;
+        }
+        if (spam === 'too-fast') {
+            this.showErrorMessage(form, i18n.t('form.tooFast'));
+            track('form:error', { reason: 'too-fast' });
+            return;
+        }
+
+        track('form:submit');
+
+        // Show loading state
+        if (submitButton) {
+            submitButton.disabled = true;
+            submitButton.textContent = i18n.t('form.submitting');
+        }
+        form.setAttribute('aria-busy', 'true');
+
+        try {
+            const endpoint = form.dataset.endpoint || form.action;
+            const response = await fetch(endpoint, this.buildRequest(form));
+            const result = await response.json().catch(() => ({}));
+
+            if (response.ok) {
+                this.showSuccessMessage(form, result.message || i18n.t('form.success'));
+                this.resetForm(form);
+                track('form:success');
+            } else if (result.errors && (response.status === 400 || response.status === 422)) {
+                this.showServerErrors(form, result.errors);
+                track('form:error', { reason: 'validation', status: response.status, fields: Object.keys(result.errors) });
+            } else if (response.status === 429) {
+                this.showErrorMessage(form, i18n.t('form.rateLimited'));
+                track('form:error', { reason: 'rate-limited', status: response.status });
+            } else {
+                throw Object.assign(new Error(`HTTP ${response.status}`), { status: response.status });
+            }
+        } catch (error) {
+            console.warn('Form submission failed:', error);
+            const network = error instanceof TypeError;
+            this.showErrorMessage(form, i18n.t(network ? 'form.network' : 'form.error'));
+            track('form:error', { reason: network ? 'network' : 'server', status: error.status || null });
+        } finally {
+            // Reset button state
+            if (submitButton) {
+                submitButton.disabled = false;
+                submitButton.textContent = originalLabel;
+            }
+            form.removeAttribute('aria-busy');
+        }
+    }
+
+    // { errors: { email: "Use a work address" } } from the endpoint
+    showServerErrors(form, errors) {
+        const state = this.state.get(form);
+        let first = null;
+
+        Object.entries(errors).forEach(([name, message]) => {
+            const element = form.elements[name];
+            const field = element && (element instanceof Element ? this.targetFor(element) || element : this.targetFor(element[0]));
+            if (!field) return;
+            this.showFieldError(field, Array.isArray(message) ? message.join(' ') : message);
+            first = first || field;
+        });
+
+        if (first) {
+            const step = state.steps.findIndex(candidate => candidate.contains(first));
+            if (step !== -1) this.goToStep(form, step, { focus: false });
+        }
+
+        this.showErrorMessage(form, i18n.t('form.fixErrors'));
+        this.renderSummary(form, { focus: true });
+    }
+
+    resetForm(form) {
+        form.reset();
+        form.querySelectorAll('[aria-invalid="true"]').forEach(field => this.clearFieldError(field));
+        form.querySelectorAll('[data-dirty]').forEach(field => delete field.dataset.dirty);
+        this.removeSummary(form);
+
+        const state = this.state.get(form);
+        state.startedAt = Date.now();
+        this.goToStep(form, 0, { focus: false });
+    }
+
+    showSuccessMessage(form, message) {
+        this.showMessage(form, message, 'success');
+    }
+
+    showErrorMessage(form, message) {
+        this.showMessage(form, message, 'error');
+    }
+
+    showMessage(form, message, type) {
+        let messageElement = form.querySelector('.form-message');
+        if (!messageElement) {
+            messageElement = document.createElement('div');
+            messageElement.className = 'form-message';
+            form.insertBefore(messageElement, form.firstChild);
+        }
+        
+        messageElement.className = `form-message ${type}`;
+        messageElement.setAttribute('role', type === 'error' ? 'alert' : 'status');
+        messageElement.textContent = message;
+        
+        // Auto-hide after 5 seconds
+        clearTimeout(messageElement.hideTimer);
+        messageElement.hideTimer = setTimeout(() => {
+            messageElement.remove();
+        }, 5000);
+    }
+}
+
+// Consent Banner and Preferences Dialog
+class ConsentManager extends Component {
+    init() {
+        this.banner = document.getElementById('consent-banner');
+        this.dialog = document.getElementById('consent-dialog');
+
+        if (this.banner) {
+            this.listen(this.banner, 'click', (e) => {
+                const button = e.target.closest('[data-consent-action]');
+                if (!button) return;
+
+                const action = button.dataset.consentAction;
+                if (action === 'accept') {
+                    this.save({ media: true, analytics: true });
+                } else if (action === 'reject') {
+                    this.save({ media: false, analytics: false });
+                } else if (action === 'customize') {
+                    this.openPreferences();
+                }
+            });
+
+            this.banner.hidden = consent.hasDecided();
+
+            // A choice made from an inline placeholder counts too
+            this.listen(document, 'giga:consentchange', () => {
+                this.banner.hidden = true;
+            });
+        }
+
+        if (this.dialog) {
+            this.listen(this.dialog, 'close', () => this.handleDialogClose());
+        }
+
+        // Footer link and "manage" buttons in placeholders
+        this.listen(document, 'click', (e) => {
+            if (e.target.closest('[data-consent-preferences]')) {
+                e.preventDefault();
+                this.openPreferences();
+            }
+        });
+    }
+
+    openPreferences() {
+        if (!this.dialog || typeof this.dialog.showModal !== 'function') return;
+
+        const form = this.dialog.querySelector('form');
+        form.elements.media.checked = consent.has('media');
+        form.elements.analytics.checked = consent.has('analytics');
+
+        this.dialog.returnValue = '';
+        this.dialog.showModal();
+    }
+
+    handleDialogClose() {
+        const form = this.dialog.querySelector('form');
+
+        if (this.dialog.returnValue === 'save') {
+            this.save({ media: form.elements.media.checked, analytics: form.elements.analytics.checked });
+        } else if (this.dialog.returnValue === 'reject') {
+            this.save({ media: false, analytics: false });
+        }
+    }
+
+    save(choices) {
+        const revoked = consent.set(choices);
+
+        // Loaded scripts and open players can't be unloaded, so start clean
+        if (revoked.length) {
+            window.location.reload();
+        }
     }
 
-    init() {
-        if (!this.toggle || !this.nav) return;
+    // Inline stand-in for content that needs a category the visitor hasn't allowed. Its document
+    // listeners go once consent is granted, once it is taken out of the page, or when the signal
+    // (the calling component's) aborts.
+    static createPlaceholder(category, provider, onEnable, { signal } = {}) {
+        const placeholder = document.createElement('div');
+        placeholder.className = 'consent-placeholder';
+        placeholder.dataset.consentCategory = category;
+        placeholder.innerHTML = `
+            <p class="consent-placeholder-text"></p>
+            <div class="consent-placeholder-actions">
+                <button type="button" class="consent-button primary" data-placeholder-enable></button>
+                <button type="button" class="consent-placeholder-manage" data-consent-preferences></button>
+            </div>
+        `;
 
-        // Toggle button event
-        this.toggle.addEventListener('click', (e) => {
-            e.preventDefault();
-            this.toggleMenu();
-        });
+        const render = () => {
+            placeholder.querySelector('.consent-placeholder-text').textContent = i18n.t(`consent.placeholder.${category}`, { provider });
+            placeholder.querySelector('[data-placeholder-enable]').textContent = i18n.t(`consent.enable.${category}`);
+            placeholder.querySelector('[data-consent-preferences]').textContent = i18n.t('consent.footerLink');
+        };
+        render();
 
-        // Close menu when clicking links
-        this.links.forEach(link => {
-            link.addEventListener('click', () => {
-                this.closeMenu();
-            });
-        });
+        const controller = new AbortController();
+        if (signal) {
+            if (signal.aborted) controller.abort();
+            signal.addEventListener('abort', () => controller.abort(), { once: true, signal: controller.signal });
+        }
 
-        // Close menu when clicking outside
-        document.addEventListener('click', (e) => {
-            if (this.isOpen && !this.nav.contains(e.target) && !this.toggle.contains(e.target)) {
-                this.closeMenu();
-            }
-        });
+        const detached = () => {
+            if (placeholder.isConnected) return false;
+            controller.abort();
+            return true;
+        };
 
-        // Close menu on escape key
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && this.isOpen) {
-                this.closeMenu();
-                this.toggle.focus();
-            }
+        document.addEventListener('giga:localechange', () => {
+            if (!detached()) render();
+        }, { signal: controller.signal });
+
+        document.addEventListener('giga:consentchange', () => {
+            if (detached() || !consent.has(category)) return;
+            controller.abort();
+            onEnable(placeholder);
+        }, { signal: controller.signal });
+
+        placeholder.querySelector('[data-placeholder-enable]').addEventListener('click', () => {
+            consent.grant(category);
         });
 
-        // Handle window resize
-        window.addEventListener('resize', utils.debounce(() => {
-            if (window.innerWidth > 1024 && this.isOpen) {
-                this.closeMenu();
-            }
-        }, 250));
+        return placeholder;
     }
+}
 
-    toggleMenu() {
-        if (this.isOpen) {
-            this.closeMenu();
-        } else {
-            this.openMenu();
+// Offline Banner and Placeholders for Network-only Embeds
+class OfflineStatus extends Component {
+    constructor(options) {
+        super(options);
+        this.banner = null;
+        this.hideTimer = null;
+    }
+
+    init() {
+        this.listen(window, 'offline', () => this.update());
+        this.listen(window, 'online', () => this.update());
+        this.listen(document, 'giga:localechange', () => this.renderText());
+
+        if (!navigator.onLine) this.update();
+    }
+
+    destroy() {
+        super.destroy();
+        clearTimeout(this.hideTimer);
+        if (this.banner) {
+            this.banner.remove();
+            this.banner = null;
         }
     }
 
-    openMenu() {
-        this.isOpen = true;
-        this.nav.setAttribute('aria-hidden', 'false');
-        this.toggle.setAttribute('aria-expanded', 'true');
-        this.toggle.classList.add('active');
-        
-        // Focus first link for accessibility
-        const firstLink = this.nav.querySelector('.mobile-nav-link');
-        if (firstLink) {
-            setTimeout(() => firstLink.focus(), 100);
+    createBanner() {
+        const banner = document.createElement('div');
+        banner.className = 'offline-banner';
+        banner.setAttribute('role', 'status');
+        banner.hidden = true;
+        document.body.appendChild(banner);
+        return banner;
+    }
+
+    renderText() {
+        if (!this.banner) return;
+        this.banner.textContent = i18n.t(navigator.onLine ? 'offline.restored' : 'offline.banner');
+    }
+
+    update() {
+        if (!this.banner) this.banner = this.createBanner();
+
+        clearTimeout(this.hideTimer);
+        this.banner.classList.toggle('is-online', navigator.onLine);
+        this.renderText();
+        this.banner.hidden = false;
+
+        if (navigator.onLine) {
+            this.hideTimer = setTimeout(() => {
+                this.banner.hidden = true;
+            }, 4000);
         }
-        
-        // Prevent body scroll
-        document.body.style.overflow = 'hidden';
     }
 
-    closeMenu() {
-        this.isOpen = false;
-        this.nav.setAttribute('aria-hidden', 'true');
-        this.toggle.setAttribute('aria-expanded', 'false');
-        this.toggle.classList.remove('active');
-        
-        // Restore body scroll
-        document.body.style.overflow = '';
+    // Stand-in for an embed that can't load offline; onOnline runs once the connection is back.
+    // Listeners go then, once it is taken out of the page, or when the signal aborts.
+    static createPlaceholder(onOnline, { signal } = {}) {
+        const placeholder = document.createElement('div');
+        placeholder.className = 'offline-placeholder';
+        placeholder.setAttribute('role', 'status');
+        placeholder.innerHTML = '<p class="offline-placeholder-text"></p>';
+
+        const render = () => {
+            placeholder.querySelector('.offline-placeholder-text').textContent = i18n.t('offline.embed');
+        };
+        render();
+
+        const controller = new AbortController();
+        if (signal) {
+            if (signal.aborted) controller.abort();
+            signal.addEventListener('abort', () => controller.abort(), { once: true, signal: controller.signal });
+        }
+
+        const detached = () => {
+            if (placeholder.isConnected) return false;
+            controller.abort();
+            return true;
+        };
+
+        window.addEventListener('online', () => {
+            if (detached()) return;
+            controller.abort();
+            onOnline(placeholder);
+        }, { signal: controller.signal });
+
+        document.addEventListener('giga:localechange', () => {
+            if (!detached()) render();
+        }, { signal: controller.signal });
+
+        return placeholder;
     }
 }
 
-// Smooth Scrolling for Navigation Links
-class SmoothScrolling {
-    constructor() {
-        this.init();
+// Motion Toggle (footer): overrides the OS reduced-motion setting for this site
+class MotionToggle extends Component {
+    init() {
+        this.buttons = document.querySelectorAll('[data-motion-toggle]');
+
+        this.buttons.forEach(button => {
+            this.listen(button, 'click', () => motion.set(!motion.reduced()));
+        });
+
+        this.listen(document, 'giga:motionchange', () => this.sync());
+        this.sync();
     }
 
-    init() {
-        // Handle all navigation links
-        const navLinks = document.querySelectorAll('a[href^="#"]');
-        
-        navLinks.forEach(link => {
-            link.addEventListener('click', (e) => {
-                const href = link.getAttribute('href');
-                
-                // Skip if it's just "#"
-                if (href === '#') return;
-                
-                const target = document.querySelector(href);
-                if (target) {
-                    e.preventDefault();
-                    const headerHeight = utils.getHeaderHeight();
-                    utils.smoothScrollTo(target, headerHeight + 20);
-                    
-                    // Update URL without jumping
-                    history.pushState(null, null, href);
-                }
-            });
+    sync() {
+        this.buttons.forEach(button => {
+            button.setAttribute('aria-pressed', String(motion.reduced()));
         });
     }
 }
 
-// Lazy Loading for Images and Videos
-class LazyLoading {
-    constructor() {
-        this.images = document.querySelectorAll('img[loading="lazy"]');
-        this.videos = document.querySelectorAll('iframe[loading="lazy"]');
-        this.init();
+// Theme Switcher (header and mobile nav): "System theme" follows the OS
+class ThemeSwitcher extends Component {
+    init() {
+        this.selects = document.querySelectorAll('[data-theme-switcher]');
+
+        this.selects.forEach(select => {
+            this.listen(select, 'change', () => theme.set(select.value || null));
+        });
+
+        this.listen(document, 'giga:themechange', () => this.sync());
+        this.sync();
     }
 
-    init() {
-        // Use Intersection Observer if available
-        if ('IntersectionObserver' in window) {
-            this.setupIntersectionObserver();
-        } else {
-            // Fallback for older browsers
-            this.loadAllMedia();
-        }
+    sync() {
+        this.selects.forEach(select => {
+            select.value = theme.choice || '';
+        });
     }
+}
 
-    setupIntersectionObserver() {
-        const options = {
-            root: null,
-            rootMargin: '50px',
-            threshold: 0.1
-        };
+// Language Switcher (header and mobile nav)
+class LanguageSwitcher extends Component {
+    init() {
+        this.selects = document.querySelectorAll('[data-language-switcher]');
 
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    this.loadMedia(entry.target);
-                    observer.unobserve(entry.target);
-                }
+        this.selects.forEach(select => {
+            Object.entries(i18n.locales).forEach(([code, locale]) => {
+                const option = document.createElement('option');
+                option.value = code;
+                option.lang = code;
+                option.textContent = locale.name;
+                select.appendChild(option);
             });
-        }, options);
 
-        // Observe all lazy-loaded media
-        [...this.images, ...this.videos].forEach(media => {
-            observer.observe(media);
+            select.value = i18n.locale;
+            this.listen(select, 'change', async () => {
+                const changed = await i18n.setLocale(select.value);
+                if (!changed) this.sync();
+            });
         });
+
+        this.listen(document, 'giga:localechange', () => this.sync());
     }
 
-    loadMedia(element) {
-        if (element.tagName === 'IMG') {
-            element.src = element.dataset.src || element.src;
-        } else if (element.tagName === 'IFRAME') {
-            element.src = element.dataset.src || element.src;
-        }
-        
-        element.classList.add('loaded');
+    destroy() {
+        super.destroy();
+        this.selects.forEach(select => {
+            select.innerHTML = '';
+        });
     }
 
-    loadAllMedia() {
-        [...this.images, ...this.videos].forEach(media => {
-            this.loadMedia(media);
+    sync() {
+        this.selects.forEach(select => {
+            select.value = i18n.locale;
         });
     }
 }
 
-// Scroll-triggered Animations
-class ScrollAnimations {
-    constructor() {
-        this.animatedElements = document.querySelectorAll('.stat-item, .impact-story, .country-story, .voice-item');
-        this.init();
+// Accessibility Enhancements
+class AccessibilityEnhancements extends Component {
+    // Tab order is left to the browser; dialogs and the mobile menu trap it with focusScope.
+    // Unlabeled controls are reported by AccessibilityAudit rather than given a placeholder name.
+    init() {
+        this.setupFocusManagement();
+    }
+
+    setupFocusManagement() {
+        // Ensure focus is visible
+        this.listen(document, 'keydown', (e) => {
+            if (e.key === 'Tab') {
+                document.body.classList.add('keyboard-navigation');
+            }
+        });
+
+        this.listen(document, 'mousedown', () => {
+            document.body.classList.remove('keyboard-navigation');
+        });
+    }
+}
+
+// Accessibility Audit (developer tool): ?a11y=audit or window.GIGA.audit() scans the live page,
+// outlines each finding and lists them in a panel that exports JSON. English only, like ?perf=debug.
+class AccessibilityAudit extends Component {
+    static CHECKS = {
+        'image-alt': 'Images without meaningful alt text',
+        'iframe-title': 'Frames without a title',
+        'heading-order': 'Skipped heading levels',
+        'contrast': 'Low-contrast text',
+        'control-name': 'Controls without an accessible name',
+        'duplicate-id': 'Duplicate IDs',
+        'broken-anchor': 'Links to missing anchors'
+    };
+
+    // Alt text that names the file or the medium rather than what the image shows
+    static PLACEHOLDER_ALT = /^(image|img|photo|picture|graphic|logo|icon|banner|placeholder|untitled)[\s_-]*\d*$|\.(png|jpe?g|gif|svg|webp|avif)$/i;
+
+    static CONTROLS = 'a[href], button, input:not([type="hidden"]), select, textarea, summary, [role="button"], [role="link"], [role="checkbox"], [role="switch"], [role="tab"], [role="menuitem"]';
+
+    constructor(options) {
+        super(options);
+        this.enabled = new URLSearchParams(window.location.search).get('a11y') === 'audit';
+        this.findings = [];
+        this.ids = new Map();
+        this.panel = null;
     }
 
     init() {
-        if ('IntersectionObserver' in window) {
-            this.setupIntersectionObserver();
+        if (this.enabled) this.run();
+    }
+
+    destroy() {
+        super.destroy();
+        this.close();
+    }
+
+    // Scans again and redraws the panel; returns the same report "Export JSON" downloads
+    run() {
+        this.clearHighlights();
+
+        this.ids = new Map();
+        this.candidates('[id]').forEach(element => {
+            if (element.id.trim()) this.ids.set(element.id, [...(this.ids.get(element.id) || []), element]);
+        });
+
+        this.findings = [
+            ...this.checkImages(),
+            ...this.checkFrames(),
+            ...this.checkHeadings(),
+            ...this.checkContrast(),
+            ...this.checkControls(),
+            ...this.checkIds(),
+            ...this.checkAnchors()
+        ];
+
+        this.findings.forEach(finding => {
+            if (!finding.element.hasAttribute('data-a11y-audit') || finding.severity === 'error') {
+                finding.element.setAttribute('data-a11y-audit', finding.severity);
+            }
+        });
+        this.renderPanel();
+
+        const report = this.report();
+        console.log(`Accessibility audit: ${report.summary.errors} error(s), ${report.summary.warnings} warning(s)`, report);
+        return report;
+    }
+
+    close() {
+        this.clearHighlights();
+        if (this.panel) {
+            this.panel.remove();
+            this.panel = null;
         }
     }
 
-    setupIntersectionObserver() {
-        const options = {
-            root: null,
-            rootMargin: '-10%',
-            threshold: 0.1
+    clearHighlights() {
+        document.querySelectorAll('[data-a11y-audit], [data-a11y-audit-current]').forEach(element => {
+            element.removeAttribute('data-a11y-audit');
+            element.removeAttribute('data-a11y-audit-current');
+        });
+    }
+
+    // The panel never audits itself
+    candidates(selector) {
+        return [...document.querySelectorAll(selector)].filter(element => !element.closest('.a11y-audit'));
+    }
+
+    finding(check, element, message, severity = 'error') {
+        const html = element.outerHTML;
+        return {
+            check,
+            severity,
+            message,
+            selector: this.selector(element),
+            snippet: html.slice(0, html.indexOf('>') + 1).slice(0, 200),
+            element
         };
+    }
 
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    entry.target.classList.add('animate-in');
-                    observer.unobserve(entry.target);
-                }
+    checkImages() {
+        const findings = [];
+        const bySource = new Map();
+
+        this.candidates('img').forEach(image => {
+            if (!image.hasAttribute('alt')) {
+                findings.push(this.finding('image-alt', image, 'Missing alt attribute; use alt="" if the image is decorative'));
+                return;
+            }
+
+            const alt = image.alt.trim();
+            if (alt && AccessibilityAudit.PLACEHOLDER_ALT.test(alt)) {
+                findings.push(this.finding('image-alt', image, `Alt text "${alt}" names the file, not what the image shows`, 'warning'));
+            }
+
+            const source = image.getAttribute('src') || image.dataset.src;
+            if (alt && source) bySource.set(source, [...(bySource.get(source) || []), image]);
+        });
+
+        // One picture can't match several different descriptions: usually a placeholder left in
+        bySource.forEach(images => {
+            const alts = new Set(images.map(image => image.alt.trim()));
+            if (alts.size < 2) return;
+            images.forEach(image => {
+                findings.push(this.finding('image-alt', image, `Same image file as ${images.length - 1} other image(s) with different alt text ("${image.alt.trim()}"); is it a placeholder?`, 'warning'));
             });
-        }, options);
+        });
 
-        this.animatedElements.forEach(element => {
-            element.classList.add('animate-ready');
-            observer.observe(element);
+        return findings;
+    }
+
+    checkFrames() {
+        return this.candidates('iframe')
+            .filter(frame => !(frame.getAttribute('title') || '').trim())
+            .map(frame => this.finding('iframe-title', frame, 'Missing title; screen readers announce frames by it'));
+    }
+
+    checkHeadings() {
+        const findings = [];
+        let previous = 0;
+
+        this.candidates('h1, h2, h3, h4, h5, h6, [role="heading"]').forEach(heading => {
+            if (heading.closest('[hidden]')) return;
+
+            const level = heading.getAttribute('role') === 'heading'
+                ? Number(heading.getAttribute('aria-level')) || 2
+                : Number(heading.tagName[1]);
+            if (previous && level > previous + 1) {
+                findings.push(this.finding('heading-order', heading, `Level ${level} heading follows level ${previous}`, 'warning'));
+            }
+            previous = level;
         });
+
+        return findings;
     }
-}
 
-// Video Modal Handler
-class VideoModal {
-    constructor() {
-        this.videoLinks = document.querySelectorAll('[data-video-modal]');
-        this.modal = null;
-        this.init();
+    // WCAG AA: 4.5:1, or 3:1 for large text. Text over images or gradients can't be measured and is skipped,
+    // as is anything positioned over content other than its ancestors' backgrounds.
+    checkContrast() {
+        const findings = [];
+
+        this.candidates('body *').forEach(element => {
+            const ownText = [...element.childNodes].some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+            if (!ownText || ['SCRIPT', 'STYLE', 'NOSCRIPT', 'OPTION'].includes(element.tagName)) return;
+            if (element.closest('[hidden], .visually-hidden') || (element.checkVisibility && !element.checkVisibility())) return;
+
+            const style = getComputedStyle(element);
+            const background = AccessibilityAudit.background(element);
+            const foreground = AccessibilityAudit.parseColor(style.color);
+            if (!background || !foreground || style.visibility === 'hidden') return;
+
+            const ratio = AccessibilityAudit.contrast(AccessibilityAudit.blend(foreground, background), background);
+            const size = parseFloat(style.fontSize);
+            const bold = style.fontWeight === 'bold' || Number(style.fontWeight) >= 700;
+            const required = size >= 24 || (bold && size >= 18.66) ? 3 : 4.5;
+
+            if (ratio < required) {
+                findings.push(this.finding('contrast', element, `Contrast ${ratio.toFixed(2)}:1, needs ${required}:1 (${style.color} on ${AccessibilityAudit.formatColor(background)})`));
+            }
+        });
+
+        return findings;
     }
 
-    init() {
-        this.videoLinks.forEach(link => {
-            link.addEventListener('click', (e) => {
-                e.preventDefault();
-                const videoUrl = link.getAttribute('data-video-modal');
-                this.openModal(videoUrl);
+    checkControls() {
+        return this.candidates(AccessibilityAudit.CONTROLS)
+            .filter(control => !control.closest('[hidden]') && !AccessibilityAudit.accessibleName(control))
+            .map(control => this.finding('control-name', control, `<${control.tagName.toLowerCase()}> has no accessible name (text, aria-label, aria-labelledby or <label>)`));
+    }
+
+    checkIds() {
+        const findings = [];
+        this.ids.forEach((elements, id) => {
+            if (elements.length < 2) return;
+            elements.forEach(element => {
+                findings.push(this.finding('duplicate-id', element, `id="${id}" is used ${elements.length} times`));
             });
         });
+        return findings;
     }
 
-    createModal() {
-        const modal = document.createElement('div');
-        modal.className = 'video-modal';
-        modal.innerHTML = `
-            <div class="video-modal-overlay">
-                <div class="video-modal-content">
-                    <button class="video-modal-close" aria-label="Close video">
-                        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <line x1="18" y1="6" x2="6" y2="18"></line>
-                            <line x1="6" y1="6" x2="18" y2="18"></line>
-                        </svg>
-                    </button>
-                    <div class="video-modal-player"></div>
-                </div>
-            </div>
-        `;
-
-        // Add styles
-        const style = document.createElement('style');
-        style.textContent = `
-            .video-modal {
-                position: fixed;
-                top: 0;
-                left: 0;
-                width: 100%;
-                height: 100%;
-                z-index: 1000;
-                display: flex;
-                align-items: center;
-                justify-content: center;
-            }
-            .video-modal-overlay {
-                position: absolute;
-                top: 0;
-                left: 0;
-                width: 100%;
-                height: 100%;
-                background: rgba(0, 0, 0, 0.9);
-                display: flex;
-                align-items: center;
-                justify-content: center;
-                padding: 2rem;
-            }
-            .video-modal-content {
-                position: relative;
-                width: 100%;
-                max-width: 900px;
-                aspect-ratio: 16/9;
-            }
-            .video-modal-close {
-                position: absolute;
-                top: -3rem;
-                right: 0;
-                background: none;
-                border: none;
-                color: white;
-                cursor: pointer;
-                padding: 0.5rem;
-                z-index: 1001;
-            }
-            .video-modal-player {
-                width: 100%;
-                height: 100%;
-            }
-            .video-modal-player iframe {
-                width: 100%;
-                height: 100%;
-                border: none;
-                border-radius: 8px;
+    // "#" is the top of the page; "#/..." must match a registered route
+    checkAnchors() {
+        return this.candidates('a[href^="#"]').filter(link => {
+            const hash = link.getAttribute('href');
+            if (hash === '#') return false;
+            if (router.isRoute(hash)) return !router.routes.some(route => route.regex.test(hash.slice(1)));
+            try {
+                return !router.findSection(hash) && !document.getElementsByName(hash.slice(1)).length;
+            } catch (error) {
+                return true;
             }
-        `;
+        }).map(link => this.finding('broken-anchor', link, `Links to ${link.getAttribute('href')}, which isn't on the page`));
+    }
+
+    // Enough of the accessible name computation to tell "has a name" from "has none"
+    static accessibleName(element) {
+        const labelledBy = (element.getAttribute('aria-labelledby') || '').split(/\s+/)
+            .map(id => document.getElementById(id))
+            .filter(Boolean)
+            .map(node => node.textContent)
+            .join(' ')
+            .trim();
+        if (labelledBy) return labelledBy;
+
+        const label = (element.getAttribute('aria-label') || '').trim();
+        if (label) return label;
+
+        if (element.labels && element.labels.length) {
+            const text = [...element.labels].map(node => node.textContent).join(' ').trim();
+            if (text) return text;
+        }
+
+        if (element.tagName === 'INPUT') {
+            if (['submit', 'reset', 'button'].includes(element.type) && element.value.trim()) return element.value.trim();
+            if (element.type === 'image' && element.alt.trim()) return element.alt.trim();
+        } else if (!['SELECT', 'TEXTAREA'].includes(element.tagName)) {
+            const text = AccessibilityAudit.textAlternative(element);
+            if (text) return text;
+        }
+
+        return (element.getAttribute('title') || '').trim();
+    }
+
+    static textAlternative(node) {
+        if (node.nodeType === Node.TEXT_NODE) return node.textContent.trim();
+        if (node.nodeType !== Node.ELEMENT_NODE || node.getAttribute('aria-hidden') === 'true') return '';
 
-        document.head.appendChild(style);
-        document.body.appendChild(modal);
+        const label = (node.getAttribute('aria-label') || '').trim();
+        if (label) return label;
+        if (node.tagName === 'IMG') return (node.getAttribute('alt') || '').trim();
+        if (node.tagName.toLowerCase() === 'svg') {
+            const title = node.querySelector('title');
+            return title ? title.textContent.trim() : '';
+        }
 
-        return modal;
+        return [...node.childNodes].map(child => AccessibilityAudit.textAlternative(child)).filter(Boolean).join(' ');
     }
 
-    openModal(videoUrl) {
-        if (!this.modal) {
-            this.modal = this.createModal();
+    // Composites the ancestors' background colours; null when an image or gradient is in the way
+    static background(element) {
+        const layers = [];
+        for (let node = element; node; node = node.parentElement) {
+            const style = getComputedStyle(node);
+            if (style.backgroundImage && style.backgroundImage !== 'none') return null;
+
+            const color = AccessibilityAudit.parseColor(style.backgroundColor);
+            if (color && color.a > 0) {
+                layers.push(color);
+                if (color.a >= 1) break;
+            }
         }
+        return layers.reverse().reduce((below, layer) => AccessibilityAudit.blend(layer, below), { r: 255, g: 255, b: 255, a: 1 });
+    }
 
-        const player = this.modal.querySelector('.video-modal-player');
-        const closeBtn = this.modal.querySelector('.video-modal-close');
+    static parseColor(value) {
+        const match = /^rgba?\(([^)]+)\)$/.exec((value || '').trim());
+        if (!match) return null;
 
-        // Create iframe
-        const iframe = document.createElement('iframe');
-        iframe.src = videoUrl + '?autoplay=1';
-        iframe.allow = 'accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture';
-        iframe.allowFullscreen = true;
+        const [r, g, b, a = '1'] = match[1].split(/[\s,/]+/).filter(Boolean);
+        return { r: Number(r), g: Number(g), b: Number(b), a: a.endsWith('%') ? parseFloat(a) / 100 : Number(a) };
+    }
 
-        player.appendChild(iframe);
+    static blend(top, bottom) {
+        const mix = channel => top[channel] * top.a + bottom[channel] * (1 - top.a);
+        return { r: mix('r'), g: mix('g'), b: mix('b'), a: 1 };
+    }
 
-        // Show modal
-        this.modal.style.display = 'flex';
-        document.body.style.overflow = 'hidden';
+    static luminance({ r, g, b }) {
+        const [red, green, blue] = [r, g, b].map(channel => {
+            const value = channel / 255;
+            return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+        });
+        return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+    }
 
-        // Close handlers
-        const closeModal = () => {
-            this.modal.style.display = 'none';
-            document.body.style.overflow = '';
-            player.innerHTML = '';
-        };
+    static contrast(first, second) {
+        const [light, dark] = [AccessibilityAudit.luminance(first), AccessibilityAudit.luminance(second)].sort((a, b) => b - a);
+        return (light + 0.05) / (dark + 0.05);
+    }
 
-        closeBtn.addEventListener('click', closeModal);
-        this.modal.querySelector('.video-modal-overlay').addEventListener('click', (e) => {
-            if (e.target === e.currentTarget) {
-                closeModal();
-            }
-        });
+    static formatColor({ r, g, b }) {
+        return `rgb(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)})`;
+    }
 
-        // Escape key
-        const handleEscape = (e) => {
-            if (e.key === 'Escape') {
-                closeModal();
-                document.removeEventListener('keydown', handleEscape);
+    // Shortest path from the nearest unique id
+    selector(element) {
+        const escape = value => (window.CSS && CSS.escape ? CSS.escape(value) : value);
+        const parts = [];
+
+        for (let node = element; node && node !== document.documentElement; node = node.parentElement) {
+            if (node.id && (this.ids.get(node.id) || []).length === 1) {
+                parts.unshift(`#${escape(node.id)}`);
+                break;
             }
-        };
-        document.addEventListener('keydown', handleEscape);
 
-        // Focus close button
-        closeBtn.focus();
+            const tag = node.tagName.toLowerCase();
+            const siblings = node.parentElement ? [...node.parentElement.children].filter(sibling => sibling.tagName === node.tagName) : [];
+            parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+        }
+
+        return parts.join(' > ');
     }
-}
 
-// Statistics Counter Animation
-class StatsCounter {
-    constructor() {
-        this.statNumbers = document.querySelectorAll('.stat-number');
-        this.init();
+    report() {
+        const count = severity => this.findings.filter(finding => finding.severity === severity).length;
+        const byCheck = Object.fromEntries(Object.keys(AccessibilityAudit.CHECKS).map(check => [
+            check,
+            this.findings.filter(finding => finding.check === check).length
+        ]));
+
+        return {
+            page: window.location.href,
+            time: new Date().toISOString(),
+            locale: i18n.locale,
+            theme: document.documentElement.getAttribute('data-theme'),
+            summary: { errors: count('error'), warnings: count('warning'), byCheck },
+            findings: this.findings.map(({ element, ...finding }) => finding)
+        };
     }
 
-    init() {
-        if ('IntersectionObserver' in window) {
-            this.setupIntersectionObserver();
+    renderPanel() {
+        if (!this.panel) {
+            this.panel = document.createElement('aside');
+            this.panel.className = 'a11y-audit';
+            this.panel.setAttribute('aria-label', 'Accessibility audit');
+            this.panel.setAttribute('dir', 'ltr');
+            this.panel.lang = 'en';
+            this.panel.addEventListener('click', (e) => this.handlePanelClick(e));
+            document.body.appendChild(this.panel);
         }
-    }
 
-    setupIntersectionObserver() {
-        const options = {
-            root: null,
-            rootMargin: '0px',
-            threshold: 0.5
-        };
+        const { errors, warnings } = this.report().summary;
+        this.panel.innerHTML = `
+            <div class="a11y-audit-header">
+                <h2 class="a11y-audit-title">Accessibility audit</h2>
+                <p class="a11y-audit-summary">${errors} error(s), ${warnings} warning(s)</p>
+                <div class="a11y-audit-actions">
+                    <button type="button" data-audit-action="run">Run again</button>
+                    <button type="button" data-audit-action="export">Export JSON</button>
+                    <button type="button" data-audit-action="close">Close</button>
+                </div>
+            </div>
+        `;
 
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting && !entry.target.classList.contains('counted')) {
-                    this.animateCounter(entry.target);
-                    entry.target.classList.add('counted');
-                }
-            });
-        }, options);
+        Object.entries(AccessibilityAudit.CHECKS).forEach(([check, label]) => {
+            const findings = this.findings.filter(finding => finding.check === check);
+            const group = document.createElement('details');
+            group.className = 'a11y-audit-group';
+            group.open = findings.length > 0;
 
-        this.statNumbers.forEach(stat => {
-            observer.observe(stat);
+            const summary = document.createElement('summary');
+            summary.textContent = `${label} (${findings.length})`;
+            group.appendChild(summary);
+
+            const list = document.createElement('ol');
+            list.className = 'a11y-audit-list';
+            findings.forEach(finding => {
+                const item = document.createElement('li');
+                item.className = `a11y-audit-finding is-${finding.severity}`;
+
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.dataset.auditFinding = String(this.findings.indexOf(finding));
+                button.textContent = finding.message;
+
+                const selector = document.createElement('code');
+                selector.textContent = finding.selector;
+
+                item.append(button, selector);
+                list.appendChild(item);
+            });
+            group.appendChild(list);
+            this.panel.appendChild(group);
         });
     }
 
-    animateCounter(element) {
-        const text = element.textContent;
-        const number = parseFloat(text.replace(/[^\d.]/g, ''));
-        const suffix = text.replace(/[\d.]/g, '');
-        
-        if (isNaN(number)) return;
+    handlePanelClick(e) {
+        const action = e.target.closest('[data-audit-action]');
+        const findingButton = e.target.closest('[data-audit-finding]');
 
-        const duration = 2000;
-        const steps = 60;
-        const increment = number / steps;
-        let current = 0;
-        let step = 0;
+        if (action) {
+            const name = action.dataset.auditAction;
+            if (name === 'run') this.run();
+            if (name === 'export') this.exportReport();
+            if (name === 'close') this.close();
+        } else if (findingButton) {
+            this.reveal(this.findings[Number(findingButton.dataset.auditFinding)]);
+        }
+    }
 
-        const timer = setInterval(() => {
-            current += increment;
-            step++;
-            
-            if (step >= steps) {
-                current = number;
-                clearInterval(timer);
-            }
-            
-            element.textContent = this.formatNumber(current) + suffix;
-        }, duration / steps);
+    reveal(finding) {
+        if (!finding || !document.contains(finding.element)) return;
+
+        document.querySelectorAll('[data-a11y-audit-current]').forEach(element => element.removeAttribute('data-a11y-audit-current'));
+        finding.element.setAttribute('data-a11y-audit-current', '');
+        finding.element.scrollIntoView({ block: 'center', behavior: motion.reduced() ? 'auto' : 'smooth' });
     }
 
-    formatNumber(num) {
-        if (num >= 1000000) {
-            return (num / 1000000).toFixed(1) + 'M';
-        } else if (num >= 1000) {
-            return (num / 1000).toFixed(1) + 'K';
-        } else {
-            return Math.floor(num).toString();
-        }
+    exportReport() {
+        const blob = new Blob([JSON.stringify(this.report(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `giga-a11y-audit-${new Date().toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
     }
 }
 
-// Form Handling (if forms are added later)
-class FormHandler {
-    constructor() {
-        this.forms = document.querySelectorAll('form');
-        this.init();
+// Performance Monitoring: Core Web Vitals field data, beaconed to data-rum-endpoint
+class PerformanceMonitor extends Component {
+    // [good, poor] boundaries; anything between is "needs-improvement"
+    static THRESHOLDS = {
+        TTFB: [800, 1800],
+        FCP: [1800, 3000],
+        LCP: [2500, 4000],
+        CLS: [0.1, 0.25],
+        INP: [200, 500]
+    };
+
+    static SESSION_KEY = 'giga-rum-sampled';
+
+    constructor(options) {
+        super(options);
+        const root = document.documentElement;
+        this.endpoint = root.dataset.rumEndpoint || '';
+        this.sampleRate = this.parseRate(root.dataset.rumSampleRate);
+        this.debug = new URLSearchParams(window.location.search).get('perf') === 'debug';
+        this.id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        this.metrics = {};
+        this.pending = new Set();
+        this.overlay = null;
     }
 
     init() {
-        this.forms.forEach(form => {
-            form.addEventListener('submit', (e) => {
-                this.handleSubmit(e, form);
-            });
-        });
-    }
+        if (!('performance' in window)) return;
 
-    handleSubmit(e, form) {
-        e.preventDefault();
-        
-        // Basic validation
-        const requiredFields = form.querySelectorAll('[required]');
-        let isValid = true;
+        this.sampled = this.isSampled();
+        if (!this.sampled && !this.debug) return;
 
-        requiredFields.forEach(field => {
-            if (!field.value.trim()) {
-                isValid = false;
-                this.showFieldError(field, 'This field is required');
-            } else {
-                this.clearFieldError(field);
-            }
+        this.collectTTFB();
+        this.collectFCP();
+        this.collectLCP();
+        this.collectCLS();
+        this.collectINP();
+
+        this.listen(window, 'load', () => {
+            // loadEventEnd is only filled in once the load handlers have returned
+            setTimeout(() => this.logPerformanceMetrics(), 0);
         });
 
-        if (isValid) {
-            this.submitForm(form);
+        this.listen(document, 'visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush();
+        });
+        this.listen(window, 'pagehide', () => this.flush());
+
+        if (this.debug) {
+            this.renderOverlay();
+            if (navigator.connection?.addEventListener) {
+                this.listen(navigator.connection, 'change', () => this.updateOverlay());
+            }
         }
     }
 
-    showFieldError(field, message) {
-        field.classList.add('error');
-        
-        let errorElement = field.parentNode.querySelector('.field-error');
-        if (!errorElement) {
-            errorElement = document.createElement('div');
-            errorElement.className = 'field-error';
-            field.parentNode.appendChild(errorElement);
+    // Sends whatever is still pending; metrics describe the page load, so there's nothing to re-scan
+    destroy() {
+        this.flush();
+        super.destroy();
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
         }
-        
-        errorElement.textContent = message;
     }
 
-    clearFieldError(field) {
-        field.classList.remove('error');
-        const errorElement = field.parentNode.querySelector('.field-error');
-        if (errorElement) {
-            errorElement.remove();
+    refresh() {}
+
+    parseRate(value) {
+        const rate = parseFloat(value);
+        return Number.isFinite(rate) ? Math.min(Math.max(rate, 0), 1) : 1;
+    }
+
+    // Decided once per session so all page views of a visit are either in or out
+    isSampled() {
+        try {
+            const stored = window.sessionStorage.getItem(PerformanceMonitor.SESSION_KEY);
+            if (stored !== null) return stored === '1';
+
+            const sampled = Math.random() < this.sampleRate;
+            window.sessionStorage.setItem(PerformanceMonitor.SESSION_KEY, sampled ? '1' : '0');
+            return sampled;
+        } catch (error) {
+            return Math.random() < this.sampleRate;
         }
     }
 
-    async submitForm(form) {
-        const formData = new FormData(form);
-        const submitButton = form.querySelector('[type="submit"]');
-        
-        // Show loading state
-        if (submitButton) {
-            submitButton.disabled = true;
-            submitButton.textContent = 'Submitting...';
+    observe(type, callback, options = {}) {
+        if (!('PerformanceObserver' in window) || !PerformanceObserver.supportedEntryTypes?.includes(type)) {
+            return null;
         }
 
         try {
-            // Simulate form submission (replace with actual endpoint)
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            
-            this.showSuccessMessage(form, 'Thank you! Your message has been sent.');
-            form.reset();
+            const observer = new PerformanceObserver(list => list.getEntries().forEach(callback));
+            observer.observe({ type, buffered: true, ...options });
+            this.onDestroy(() => observer.disconnect());
+            return observer;
         } catch (error) {
-            this.showErrorMessage(form, 'Sorry, there was an error. Please try again.');
-        } finally {
-            // Reset button state
-            if (submitButton) {
-                submitButton.disabled = false;
-                submitButton.textContent = 'Submit';
-            }
+            return null;
         }
     }
 
-    showSuccessMessage(form, message) {
-        this.showMessage(form, message, 'success');
+    // Prerendered pages are timed from activation, not from the prerender
+    activationStart() {
+        return this.navigation()?.activationStart || 0;
     }
 
-    showErrorMessage(form, message) {
-        this.showMessage(form, message, 'error');
+    navigation() {
+        return performance.getEntriesByType('navigation')[0];
     }
 
-    showMessage(form, message, type) {
-        let messageElement = form.querySelector('.form-message');
-        if (!messageElement) {
-            messageElement = document.createElement('div');
-            messageElement.className = 'form-message';
-            form.insertBefore(messageElement, form.firstChild);
+    collectTTFB() {
+        const navigation = this.navigation();
+        if (navigation && navigation.responseStart > 0) {
+            this.record('TTFB', Math.max(navigation.responseStart - this.activationStart(), 0));
         }
-        
-        messageElement.className = `form-message ${type}`;
-        messageElement.textContent = message;
-        
-        // Auto-hide after 5 seconds
-        setTimeout(() => {
-            messageElement.remove();
-        }, 5000);
     }
-}
 
-// Accessibility Enhancements
-class AccessibilityEnhancements {
-    constructor() {
-        this.init();
+    collectFCP() {
+        const observer = this.observe('paint', entry => {
+            if (entry.name !== 'first-contentful-paint') return;
+            this.record('FCP', Math.max(entry.startTime - this.activationStart(), 0));
+            observer?.disconnect();
+        });
     }
 
-    init() {
-        this.setupKeyboardNavigation();
-        this.setupFocusManagement();
-        this.setupAriaLabels();
+    collectLCP() {
+        const observer = this.observe('largest-contentful-paint', entry => {
+            this.record('LCP', Math.max(entry.startTime - this.activationStart(), 0));
+        });
+        if (!observer) return;
+
+        // The browser stops emitting candidates after the first input, so the value is final then
+        const finalize = () => {
+            observer.takeRecords().forEach(entry => {
+                this.record('LCP', Math.max(entry.startTime - this.activationStart(), 0));
+            });
+            observer.disconnect();
+            ['keydown', 'pointerdown'].forEach(type => window.removeEventListener(type, finalize, true));
+            document.removeEventListener('visibilitychange', finalize, true);
+        };
+
+        ['keydown', 'pointerdown'].forEach(type => this.listen(window, type, finalize, { capture: true }));
+        this.listen(document, 'visibilitychange', finalize, { capture: true });
     }
 
-    setupKeyboardNavigation() {
-        // Handle keyboard navigation for custom interactive elements
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Tab') {
-                this.handleTabNavigation(e);
+    collectCLS() {
+        let largest = 0;
+        let windowValue = 0;
+        let windowStart = 0;
+        let lastShift = 0;
+
+        const observer = this.observe('layout-shift', entry => {
+            if (entry.hadRecentInput) return;
+
+            // Session windows: shifts less than 1s apart, each window capped at 5s
+            if (windowValue && entry.startTime - lastShift < 1000 && entry.startTime - windowStart < 5000) {
+                windowValue += entry.value;
+            } else {
+                windowValue = entry.value;
+                windowStart = entry.startTime;
+            }
+            lastShift = entry.startTime;
+
+            if (windowValue > largest) {
+                largest = windowValue;
+                this.record('CLS', largest);
             }
         });
+
+        if (observer && !this.metrics.CLS) this.record('CLS', 0);
     }
 
-    handleTabNavigation(e) {
-        // Custom tab handling if needed
-        const focusableElements = document.querySelectorAll(
-            'a[href], button, input, textarea, select, [tabindex]:not([tabindex="-1"])'
-        );
-        
-        const firstElement = focusableElements[0];
-        const lastElement = focusableElements[focusableElements.length - 1];
-        
-        if (e.shiftKey && document.activeElement === firstElement) {
-            e.preventDefault();
-            lastElement.focus();
-        } else if (!e.shiftKey && document.activeElement === lastElement) {
-            e.preventDefault();
-            firstElement.focus();
-        }
+    collectINP() {
+        // Longest event duration per interaction
+        const interactions = new Map();
+
+        const handleEntry = entry => {
+            if (!entry.interactionId) return;
+
+            const previous = interactions.get(entry.interactionId) || 0;
+            if (entry.duration <= previous) return;
+            interactions.set(entry.interactionId, entry.duration);
+
+            // Skip one worst interaction per 50 to approximate the 98th percentile
+            const durations = [...interactions.values()].sort((a, b) => b - a);
+            const inp = durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))];
+            if (inp !== this.metrics.INP?.value) this.record('INP', inp);
+        };
+
+        this.observe('event', handleEntry, { durationThreshold: 40 });
+        this.observe('first-input', handleEntry);
     }
 
-    setupFocusManagement() {
-        // Ensure focus is visible
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Tab') {
-                document.body.classList.add('keyboard-navigation');
-            }
-        });
+    rate(name, value) {
+        const [good, poor] = PerformanceMonitor.THRESHOLDS[name];
+        if (value <= good) return 'good';
+        return value <= poor ? 'needs-improvement' : 'poor';
+    }
 
-        document.addEventListener('mousedown', () => {
-            document.body.classList.remove('keyboard-navigation');
-        });
+    record(name, value) {
+        const rounded = name === 'CLS' ? Math.round(value * 10000) / 10000 : Math.round(value);
+        this.metrics[name] = { value: rounded, rating: this.rate(name, rounded) };
+        this.pending.add(name);
+        this.updateOverlay();
     }
 
-    setupAriaLabels() {
-        // Add missing aria labels
-        const buttons = document.querySelectorAll('button:not([aria-label]):not([aria-labelledby])');
-        buttons.forEach(button => {
-            if (!button.textContent.trim()) {
-                button.setAttribute('aria-label', 'Button');
-            }
-        });
+    deviceClass() {
+        const memory = navigator.deviceMemory;
+        const cores = navigator.hardwareConcurrency;
+        if (!memory && !cores) return 'unknown';
+        if ((memory && memory <= 2) || (cores && cores <= 2)) return 'low';
+        if ((memory && memory <= 4) || (cores && cores <= 4)) return 'mid';
+        return 'high';
     }
-}
 
-// Performance Monitoring
-class PerformanceMonitor {
-    constructor() {
-        this.init();
+    getContext() {
+        const connection = navigator.connection || {};
+        return {
+            page: window.location.pathname + window.location.hash,
+            locale: i18n.locale,
+            connection: connection.effectiveType || 'unknown',
+            rtt: connection.rtt ?? null,
+            downlink: connection.downlink ?? null,
+            saveData: Boolean(connection.saveData),
+            device: this.deviceClass(),
+            viewport: window.innerWidth
+        };
     }
 
-    init() {
-        // Monitor page load performance
-        window.addEventListener('load', () => {
-            this.logPerformanceMetrics();
+    // One beacon per flush with every metric that changed since the last one
+    flush() {
+        if (!this.pending.size || !this.sampled || !this.endpoint) return;
+        if (!consent.has('analytics')) return;
+
+        const payload = JSON.stringify({
+            id: this.id,
+            sampleRate: this.sampleRate,
+            ...this.getContext(),
+            metrics: [...this.pending].map(name => ({ name, ...this.metrics[name] }))
         });
+        this.pending.clear();
+
+        if (this.debug) console.log('RUM beacon:', JSON.parse(payload));
+
+        utils.beacon(this.endpoint, payload);
     }
 
     logPerformanceMetrics() {
-        if ('performance' in window) {
-            const navigation = performance.getEntriesByType('navigation')[0];
-            const paint = performance.getEntriesByType('paint');
-            
-            console.group('GIGA Website Performance Metrics');
-            console.log('DOM Content Loaded:', navigation.domContentLoadedEventEnd - navigation.domContentLoadedEventStart, 'ms');
-            console.log('Page Load Time:', navigation.loadEventEnd - navigation.loadEventStart, 'ms');
-            
-            paint.forEach(entry => {
-                console.log(`${entry.name}:`, entry.startTime, 'ms');
-            });
-            
-            console.groupEnd();
-        }
+        const navigation = this.navigation();
+        if (!navigation) return;
+
+        this.loadTime = Math.round(navigation.loadEventEnd - navigation.startTime);
+        this.updateOverlay();
+
+        if (!this.debug) return;
+
+        console.group('GIGA Website Performance Metrics');
+        console.log('DOM Content Loaded:', Math.round(navigation.domContentLoadedEventEnd - navigation.startTime), 'ms');
+        console.log('Page Load Time:', this.loadTime, 'ms');
+        Object.entries(this.metrics).forEach(([name, metric]) => {
+            console.log(`${name}:`, metric.value, `(${metric.rating})`);
+        });
+        console.groupEnd();
+    }
+
+    formatValue(name, value) {
+        return name === 'CLS' ? value.toFixed(3) : `${value} ms`;
+    }
+
+    renderOverlay() {
+        this.overlay = document.createElement('aside');
+        this.overlay.className = 'perf-overlay';
+        this.overlay.setAttribute('aria-label', 'Performance metrics');
+        this.overlay.setAttribute('dir', 'ltr');
+        document.body.appendChild(this.overlay);
+        this.updateOverlay();
+    }
+
+    updateOverlay() {
+        if (!this.overlay) return;
+
+        const context = this.getContext();
+        const rows = Object.keys(PerformanceMonitor.THRESHOLDS).map(name => {
+            const metric = this.metrics[name];
+            const value = metric ? this.formatValue(name, metric.value) : '–';
+            return `<div class="perf-metric${metric ? ` is-${metric.rating}` : ''}"><dt>${name}</dt><dd>${value}</dd></div>`;
+        }).join('');
+        const load = this.loadTime ? `<div class="perf-metric"><dt>Load</dt><dd>${this.loadTime} ms</dd></div>` : '';
+
+        this.overlay.innerHTML = `
+            <dl class="perf-metrics">${rows}${load}</dl>
+            <p class="perf-context"></p>
+        `;
+        this.overlay.querySelector('.perf-context').textContent = [
+            context.connection + (context.saveData ? ' (save-data)' : ''),
+            `${context.device} device`,
+            this.sampled ? `sampled at ${this.sampleRate}` : 'not sampled'
+        ].join(' · ');
     }
 }
 
 // Main Application Initialization
 class GIGAWebsite {
+    // Built-in components, initialized in this order
+    static COMPONENTS = {
+        lockscreen: Lockscreen,
+        mobileNavigation: MobileNavigation,
+        smoothScrolling: SmoothScrolling,
+        scrollspy: Scrollspy,
+        videoFacades: VideoFacades,
+        lazyLoading: LazyLoading,
+        scrollAnimations: ScrollAnimations,
+        videoModal: VideoModal,
+        statsCounter: StatsCounter,
+        trendCharts: TrendCharts,
+        footprintMap: FootprintMap,
+        countryStories: CountryStories,
+        partnerDirectory: PartnerDirectory,
+        annualReport: AnnualReport,
+        shareCards: ShareCards,
+        siteSearch: SiteSearch,
+        formHandler: FormHandler,
+        languageSwitcher: LanguageSwitcher,
+        motionToggle: MotionToggle,
+        themeSwitcher: ThemeSwitcher,
+        consentManager: ConsentManager,
+        offlineStatus: OfflineStatus,
+        accessibilityEnhancements: AccessibilityEnhancements,
+        accessibilityAudit: AccessibilityAudit,
+        performanceMonitor: PerformanceMonitor
+    };
+
     constructor() {
-        this.components = [];
+        // name -> { Component, options, instance }
+        this.components = new Map();
+        this.ready = false;
         this.init();
     }
 
     init() {
+        this.registerServiceWorker();
+
         // Wait for DOM to be ready
         if (document.readyState === 'loading') {
             document.addEventListener('DOMContentLoaded', () => {
@@ -708,22 +6268,124 @@ class GIGAWebsite {
     }
 
     initializeComponents() {
-        try {
-            // Initialize all components
-            this.components.push(new MobileNavigation());
-            this.components.push(new SmoothScrolling());
-            this.components.push(new LazyLoading());
-            this.components.push(new ScrollAnimations());
-            this.components.push(new VideoModal());
-            this.components.push(new StatsCounter());
-            this.components.push(new FormHandler());
-            this.components.push(new AccessibilityEnhancements());
-            this.components.push(new PerformanceMonitor());
+        // Components render in English first; the catalog swaps text in once loaded
+        i18n.setLocale(i18n.detect(), { persist: false });
+
+        motion.init();
+        theme.init();
+
+        // Third-party fonts and scripts stay inert until their category is allowed
+        consent.load();
+        consent.activateGranted();
+        analytics.init();
+
+        // Components registered before the DOM was ready start after the built-in ones
+        const early = [...this.components.entries()];
+        this.components.clear();
+        Object.entries(GIGAWebsite.COMPONENTS).forEach(([name, Component]) => {
+            this.components.set(name, { Component, options: {}, instance: null });
+        });
+        early.forEach(([name, entry]) => this.components.set(name, entry));
+
+        this.ready = true;
+        this.components.forEach((entry, name) => this.mount(name, entry));
 
+        // Content animated in behind the lockscreen; play it again now that it's visible
+        document.addEventListener('giga:unlock', () => this.refresh('scrollAnimations'));
+
+        // Routes are registered by the components above
+        router.start();
+
+        const failed = [...this.components.values()].filter(entry => !entry.instance).length;
+        if (failed) {
+            console.warn(`GIGA Website initialized with ${failed} failed component(s)`);
+        } else {
             console.log('GIGA Website initialized successfully');
+        }
+    }
+
+    // Error boundary: a component that throws is logged and left out, the rest carry on
+    guard(name, phase, callback) {
+        try {
+            callback();
+            return true;
         } catch (error) {
-            console.error('Error initializing GIGA Website:', error);
+            console.error(`Component "${name}" failed to ${phase}:`, error);
+            return false;
+        }
+    }
+
+    mount(name, entry) {
+        let instance = null;
+        const mounted = this.guard(name, 'initialize', () => {
+            instance = new entry.Component(entry.options);
+            instance.init();
+        });
+
+        if (!mounted && instance) {
+            // Undo whatever init() managed before it threw
+            this.guard(name, 'destroy', () => instance.destroy());
+        }
+        entry.instance = mounted ? instance : null;
+    }
+
+    // Component is a class with init(), destroy() and refresh() (see Component);
+    // options are passed to its constructor
+    register(name, Component, options = {}) {
+        if (this.components.has(name)) {
+            throw new Error(`A component named "${name}" is already registered`);
+        }
+        if (typeof Component !== 'function') {
+            throw new TypeError(`Component "${name}" must be a class`);
         }
+
+        const entry = { Component, options, instance: null };
+        this.components.set(name, entry);
+        if (this.ready) this.mount(name, entry);
+
+        return entry.instance;
+    }
+
+    get(name) {
+        const entry = this.components.get(name);
+        return entry ? entry.instance : null;
+    }
+
+    destroy(name) {
+        const entry = this.components.get(name);
+        if (!entry) return false;
+
+        if (entry.instance) this.guard(name, 'destroy', () => entry.instance.destroy());
+        this.components.delete(name);
+        return true;
+    }
+
+    // Re-scan the DOM after inserting content: one component by name, or all of them.
+    // Components that failed to initialize get another try.
+    refresh(name) {
+        const names = name ? [name] : [...this.components.keys()];
+
+        names.forEach(componentName => {
+            const entry = this.components.get(componentName);
+            if (!entry || !this.ready) return;
+
+            if (entry.instance) {
+                this.guard(componentName, 'refresh', () => entry.instance.refresh());
+            } else {
+                this.mount(componentName, entry);
+            }
+        });
+    }
+
+    // Offline support; sw.js must sit next to index.html so its scope covers the page
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+        window.addEventListener('load', () => {
+            navigator.serviceWorker.register('sw.js').catch(error => {
+                console.warn('Service worker registration failed:', error);
+            });
+        });
     }
 
     // Public API for external integrations
@@ -735,10 +6397,37 @@ class GIGAWebsite {
         }
     }
 
-    openVideoModal(videoUrl) {
-        const videoModal = this.components.find(component => component instanceof VideoModal);
+    // validator(value, field, form) returns true, false or a message; see `validation.register`
+    registerValidator(name, validator, options) {
+        validation.register(name, validator, options);
+    }
+
+    // Interaction events ('navigation:open', 'video:play', 'form:success', ... or '*' for all);
+    // returns a function that removes the handler
+    on(event, handler) {
+        return analytics.on(event, handler);
+    }
+
+    off(event, handler) {
+        analytics.off(event, handler);
+    }
+
+    // adapter: { send(event), flush() }; selected with <html data-analytics-adapter="name">
+    registerAnalyticsAdapter(name, adapter) {
+        analytics.registerAdapter(name, adapter);
+    }
+
+    // Developer accessibility audit (also ?a11y=audit); returns the report the panel exports
+    audit() {
+        const accessibilityAudit = this.get('accessibilityAudit');
+        return accessibilityAudit ? accessibilityAudit.run() : null;
+    }
+
+    // Accepts a single URL or a playlist of URLs / { src, title, subtitle } entries
+    openVideoModal(list, startIndex = 0) {
+        const videoModal = this.get('videoModal');
         if (videoModal) {
-            videoModal.openModal(videoUrl);
+            videoModal.openModal(list, startIndex);
         }
     }
 }
@@ -749,7 +6438,13 @@ const gigaWebsite = new GIGAWebsite();
 // Export for external use
 window.GIGA = gigaWebsite;
 
-// Add CSS for animations
+// Base class for components passed to window.GIGA.register
+window.GIGA.Component = Component;
+
+// Focus trapping for dialogs those components open
+window.GIGA.focusScope = focusScope;
+
+// Add CSS for animations and form feedback; colours come from the theme tokens in styles-new.css
 const animationStyles = document.createElement('style');
 animationStyles.textContent = `
     .animate-ready {
@@ -764,12 +6459,12 @@ animationStyles.textContent = `
     }
     
     .keyboard-navigation *:focus {
-        outline: 2px solid var(--giga-primary, #4A90E2) !important;
+        outline: 2px solid var(--color-focus) !important;
         outline-offset: 2px !important;
     }
     
     .field-error {
-        color: #dc3545;
+        color: var(--color-danger);
         font-size: 0.875rem;
         margin-top: 0.25rem;
     }
@@ -781,21 +6476,21 @@ animationStyles.textContent = `
     }
     
     .form-message.success {
-        background-color: #d4edda;
-        color: #155724;
-        border: 1px solid #c3e6cb;
+        background-color: var(--color-success-bg);
+        color: var(--color-success);
+        border: 1px solid currentColor;
     }
     
     .form-message.error {
-        background-color: #f8d7da;
-        color: #721c24;
-        border: 1px solid #f5c6cb;
+        background-color: var(--color-danger-bg);
+        color: var(--color-danger);
+        border: 1px solid currentColor;
     }
     
     input.error,
     textarea.error,
     select.error {
-        border-color: #dc3545;
+        border-color: var(--color-danger);
     }
 `;
 
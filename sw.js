@@ -0,0 +1,130 @@
+/*
+ * GIGA Website service worker
+ *
+ * Precaches the page shell so the impact page opens on a dead connection,
+ * and serves everything stale-while-revalidate, shell included. Bump
+ * CACHE_VERSION when files are renamed or removed: activation deletes caches
+ * from older versions.
+ */
+
+const CACHE_VERSION = 'v1';
+const PRECACHE = `giga-precache-${CACHE_VERSION}`;
+const RUNTIME = `giga-runtime-${CACHE_VERSION}`;
+const RUNTIME_MAX_ENTRIES = 80;
+
+const SHELL = [
+    './',
+    'index.html',
+    'styles-new.css',
+    'styles-print.css',
+    'scripts-new.js',
+    'vendor/qrcode-generator.js',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'image1.png',
+    'image2.png',
+    'image4.png',
+    'image5.png',
+    'image6.png',
+    'image7.png',
+    'image8.png',
+    'image10.png',
+    'image11.png',
+    'image12.png',
+    'image111.png',
+    'data/progress.json',
+    'data/footprint.json',
+    'data/world-map.json',
+    'data/stories.json',
+    'data/series/schools-mapped.json',
+    'data/series/realtime-schools.json',
+    'data/series/infrastructure-countries.json',
+    'data/series/schools-connected.json',
+    'data/series/students-connected.json',
+    'data/series/advanced-support-countries.json'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(PRECACHE)
+            .then(cache => cache.addAll(SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [PRECACHE, RUNTIME];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('giga-') && !current.includes(key))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+async function trimCache(name, maxEntries) {
+    const cache = await caches.open(name);
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(keys.length - maxEntries, 0)).map(key => cache.delete(key)));
+}
+
+// Page URLs differ only by ?filters; they share one cached copy of the document
+function cacheKey(request) {
+    if (request.mode !== 'navigate') return request;
+    const url = new URL(request.url);
+    url.search = '';
+    return url.href;
+}
+
+// Answer from cache straight away and refresh that same copy in the background, so updated
+// shell files and data reach the next visit without a CACHE_VERSION bump
+async function staleWhileRevalidate(event, request) {
+    const options = { ignoreSearch: request.mode === 'navigate' };
+    const precache = await caches.open(PRECACHE);
+    const precached = await precache.match(request, options);
+    const cached = precached || await caches.match(request, options);
+
+    const network = fetch(request)
+        .then(async response => {
+            if (response && (response.ok || response.type === 'opaque')) {
+                if (precached) {
+                    await precache.put(cacheKey(request), response.clone());
+                } else {
+                    const cache = await caches.open(RUNTIME);
+                    await cache.put(cacheKey(request), response.clone());
+                    await trimCache(RUNTIME, RUNTIME_MAX_ENTRIES);
+                }
+            }
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+
+    try {
+        return await network;
+    } catch (error) {
+        // Any page URL (with ?filters or not) falls back to the precached shell
+        if (request.mode === 'navigate') {
+            const shell = await caches.match('index.html');
+            if (shell) return shell;
+        }
+        throw error;
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+
+    // Form posts, analytics beacons and range requests go straight to the network
+    if (request.method !== 'GET' || request.headers.has('range')) return;
+
+    const url = new URL(request.url);
+    if (!['http:', 'https:'].includes(url.protocol)) return;
+
+    event.respondWith(staleWhileRevalidate(event, request));
+});
@@ -0,0 +1,163 @@
+/*
+ * Local mock for the "Partner with Giga" inquiry endpoint.
+ *
+ *   node tools/mock-inquiry-server.js [port]
+ *
+ * Serves the site from the repository root and answers POST /api/inquiry
+ * (JSON, urlencoded or multipart) the way the real endpoint is expected to:
+ *   200 { message }                 accepted
+ *   422 { errors: { field: msg } }  validation failed
+ *   429 { message }                 more than 5 submissions a minute
+ *   500                             message contains "mock:500"
+ *
+ * It also accepts the Core Web Vitals beacons on POST /api/rum and the
+ * interaction event batches on POST /api/events (both 204) and logs them.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const root = path.resolve(__dirname, '..');
+const port = Number(process.argv[2]) || 8080;
+const MIN_FILL_TIME = 3000;
+const RATE_LIMIT = 5;
+
+const types = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.webmanifest': 'application/manifest+json'
+};
+
+const recent = [];
+
+function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+function parseMultipart(raw, contentType) {
+    const boundary = contentType.split('boundary=')[1];
+    const fields = {};
+    raw.split(`--${boundary}`).forEach(part => {
+        const match = part.match(/name="([^"]+)"\r\n\r\n([\s\S]*)\r\n$/);
+        if (match) fields[match[1]] = match[2];
+    });
+    return fields;
+}
+
+function parseBody(raw, contentType = '') {
+    if (contentType.includes('application/json')) return JSON.parse(raw || '{}');
+    if (contentType.includes('multipart/form-data')) return parseMultipart(raw, contentType);
+    return Object.fromEntries(new URLSearchParams(raw));
+}
+
+function validate(data) {
+    const errors = {};
+    ['organisation', 'organisationType', 'country', 'interest', 'name', 'email', 'message'].forEach(field => {
+        if (!String(data[field] || '').trim()) errors[field] = 'This field is required.';
+    });
+    if (data.email && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(data.email)) {
+        errors.email = 'Enter a valid email address.';
+    }
+    if (data.message && String(data.message).trim().length < 20) {
+        errors.message = 'Tell us a little more (at least 20 characters).';
+    }
+    return errors;
+}
+
+function handleInquiry(req, res, raw) {
+    const now = Date.now();
+    while (recent.length && now - recent[0] > 60000) recent.shift();
+    if (recent.length >= RATE_LIMIT) {
+        return send(res, 429, { message: 'Too many submissions.' });
+    }
+    recent.push(now);
+
+    let data;
+    try {
+        data = parseBody(raw, req.headers['content-type']);
+    } catch (error) {
+        return send(res, 400, { message: 'Malformed request body.' });
+    }
+
+    // Same spam rules as the client; bots get a normal-looking success
+    if (data.website || Number(data._elapsed) < MIN_FILL_TIME) {
+        console.log('Dropped likely spam:', data.website ? 'honeypot' : `${data._elapsed}ms`);
+        return send(res, 200, { message: 'Thank you! Your message has been sent.' });
+    }
+
+    if (String(data.message || '').includes('mock:500')) {
+        return send(res, 500, { message: 'Simulated server error.' });
+    }
+
+    const errors = validate(data);
+    if (Object.keys(errors).length) {
+        return send(res, 422, { errors });
+    }
+
+    console.log('Inquiry received:', data);
+    return send(res, 200, { message: `Thank you, ${data.name}! Our partnerships team will be in touch.` });
+}
+
+function handleRum(req, res, raw) {
+    try {
+        const beacon = JSON.parse(raw);
+        const metrics = beacon.metrics.map(metric => `${metric.name}=${metric.value} (${metric.rating})`).join(', ');
+        console.log(`RUM ${beacon.id} [${beacon.connection}, ${beacon.device}] ${beacon.page}: ${metrics}`);
+    } catch (error) {
+        console.log('Malformed RUM beacon');
+    }
+    res.writeHead(204);
+    res.end();
+}
+
+function handleEvents(req, res, raw) {
+    try {
+        JSON.parse(raw).events.forEach(event => {
+            console.log(`Event ${event.name} on ${event.page}:`, JSON.stringify(event.detail));
+        });
+    } catch (error) {
+        console.log('Malformed event batch');
+    }
+    res.writeHead(204);
+    res.end();
+}
+
+function serveStatic(req, res) {
+    const pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    const file = path.join(root, pathname === '/' ? 'index.html' : pathname);
+
+    if (!file.startsWith(root) || !fs.existsSync(file) || fs.statSync(file).isDirectory()) {
+        res.writeHead(404);
+        return res.end('Not found');
+    }
+
+    res.writeHead(200, { 'Content-Type': types[path.extname(file)] || 'application/octet-stream' });
+    fs.createReadStream(file).pipe(res);
+}
+
+http.createServer((req, res) => {
+    const handler = req.url.startsWith('/api/inquiry') ? handleInquiry
+        : req.url.startsWith('/api/rum') ? handleRum
+        : req.url.startsWith('/api/events') ? handleEvents
+        : null;
+
+    if (handler) {
+        if (req.method !== 'POST') return send(res, 405, { message: 'Method not allowed.' });
+
+        let raw = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => handler(req, res, raw));
+        return;
+    }
+
+    serveStatic(req, res);
+}).listen(port, () => {
+    console.log(`GIGA site with mock inquiry endpoint: http://localhost:${port}/#get-involved`);
+});